@@ -0,0 +1,404 @@
+/**
+ * Align — fits the grid to the frame instead of by hand.
+ *
+ * detectLines() finds the dominant pair of perpendicular line families in
+ * the current frame (gradient orientations, then the spacing and offset of
+ * the lines from their autocorrelation), all on a downscaled copy in a
+ * canvas, so nothing leaves the device. alignToPoints() fits the grid to two
+ * clicked reference points instead. Both return grid properties for
+ * GridConfiguration.update().
+ */
+
+import { containRect } from './snapshot.js';
+
+/** Longest side of the copy of the frame that gets analyzed, in px. */
+const ANALYSIS_SIZE = 320;
+/** Orientation histogram bins over the 90° a square grid repeats in. */
+const ANGLE_BINS = 90;
+/** A peak this many times the average bin counts as a dominant orientation. */
+const MIN_ANGLE_CONTRAST = 1.6;
+/** Edges within this angle of a family's normal count toward its profile. */
+const FAMILY_TOLERANCE = 10 * Math.PI / 180;
+/** Angles tried either side of the estimated one: ±3° in 0.1° steps. */
+const ANGLE_SEARCH_STEPS = 30;
+const ANGLE_SEARCH_STEP = 0.1 * Math.PI / 180;
+/** Shortest line spacing considered, in analysis px. */
+const MIN_SPACING = 6;
+/** A spacing peak this close to the highest one wins over its multiples. */
+const PEAK_RATIO = 0.7;
+
+/**
+ * @typedef {{rotation: number, cellSize: number, positionX: number, positionY: number}} GridFit
+ */
+
+/**
+ * Fit the grid to lines detected in the media's current frame, or return
+ * null when there's no clear grid-like structure to fit.
+ * @param {import('./grid-geometry.js').GridProps} props grid being aligned
+ * @param {import('./media-loader.js').MediaLoader} mediaLoader
+ * @param {number} width media area CSS width
+ * @param {number} height media area CSS height
+ * @returns {GridFit|null}
+ */
+export function alignToFrame(props, mediaLoader, width, height) {
+  const { width: srcW, height: srcH } = mediaLoader.mediaSize;
+  if (!srcW || !srcH) return null;
+  const source = mediaLoader.mediaType === 'video' ? mediaLoader.videoElement : mediaLoader.imageElement;
+  const lines = detectLines(source, srcW, srcH);
+  if (!lines) return null;
+
+  // Media px → screen px
+  const rect = containRect(srcW, srcH, width, height);
+  const r = lines.angle * Math.PI / 180;
+  const cos = Math.cos(r);
+  const sin = Math.sin(r);
+  const spacing = lines.spacing * rect.scale;
+
+  // A crossing of the two families; a family that wasn't found keeps the grid where it is
+  const cx = width / 2 + props.positionX;
+  const cy = height / 2 + props.positionY;
+  const u = lines.u === null ? cx * cos + cy * sin : rect.x * cos + rect.y * sin + lines.u * rect.scale;
+  const v = lines.v === null ? -cx * sin + cy * cos : -rect.x * sin + rect.y * cos + lines.v * rect.scale;
+  const origin = { x: u * cos - v * sin, y: u * sin + v * cos };
+
+  return fitGrid(props, width, height, lines.angle, spacing, origin);
+}
+
+/**
+ * Fit the grid so `a` is on a grid crossing and `b` is `cells` cells away
+ * along the same grid line.
+ * @param {import('./grid-geometry.js').GridProps} props
+ * @param {number} width
+ * @param {number} height
+ * @param {{x: number, y: number}} a screen px
+ * @param {{x: number, y: number}} b screen px
+ * @param {number} cells
+ * @returns {GridFit|null}
+ */
+export function alignToPoints(props, width, height, a, b, cells) {
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  if (!(length > 0) || !(cells > 0)) return null;
+  const angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+  return fitGrid(props, width, height, angle, length / cells, a);
+}
+
+/**
+ * Grid properties that line the grid up with lines at `angle` degrees and
+ * `spacing` px apart crossing at `origin`, moving and turning the grid as
+ * little as possible to get there.
+ * @returns {GridFit}
+ */
+function fitGrid(props, width, height, angle, spacing, origin) {
+  // The grid looks the same every 90°; keep the turn closest to the current one
+  let rotation = angle + 90 * Math.round((props.rotation - angle) / 90);
+  if (rotation > 180) rotation -= 360;
+  if (rotation < -180) rotation += 360;
+
+  const r = rotation * Math.PI / 180;
+  const cos = Math.cos(r);
+  const sin = Math.sin(r);
+  // An odd N×N square grid has a cell, not a crossing, at its center
+  const offset = props.gridType === 'square' && props.gridN % 2 === 1 ? spacing / 2 : 0;
+  const snap = (current, line) => {
+    const d = line + offset - current;
+    return current + d - spacing * Math.round(d / spacing);
+  };
+
+  const cx = width / 2 + props.positionX;
+  const cy = height / 2 + props.positionY;
+  const u = snap(cx * cos + cy * sin, origin.x * cos + origin.y * sin);
+  const v = snap(-cx * sin + cy * cos, -origin.x * sin + origin.y * cos);
+  return {
+    rotation,
+    cellSize: spacing,
+    positionX: u * cos - v * sin - width / 2,
+    positionY: u * sin + v * cos - height / 2,
+  };
+}
+
+/* ── Line detection ── */
+
+/**
+ * Find the dominant perpendicular line families in an image.
+ * @param {CanvasImageSource} source
+ * @param {number} srcW natural width
+ * @param {number} srcH natural height
+ * @returns {{angle: number, spacing: number, u: number|null, v: number|null}|null}
+ *   angle of the first family's normal in degrees [0, 90), spacing in media
+ *   px, and the offset of one line of each family along its normal (null
+ *   when that family wasn't found)
+ */
+export function detectLines(source, srcW, srcH) {
+  const k = Math.min(1, ANALYSIS_SIZE / Math.max(srcW, srcH));
+  const w = Math.max(8, Math.round(srcW * k));
+  const h = Math.max(8, Math.round(srcH * k));
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, w, h);
+  const { data } = ctx.getImageData(0, 0, w, h);
+
+  const luma = new Float32Array(w * h);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  // Soften pixel staircases, which would otherwise pull every edge toward 0° or 90°
+  const gray = blur(luma, w, h);
+
+  // Sobel gradients of the interior pixels
+  const edges = [];
+  let total = 0;
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      const gx = gray[i - w + 1] + 2 * gray[i + 1] + gray[i + w + 1] - gray[i - w - 1] - 2 * gray[i - 1] - gray[i + w - 1];
+      const gy = gray[i + w - 1] + 2 * gray[i + w] + gray[i + w + 1] - gray[i - w - 1] - 2 * gray[i - w] - gray[i - w + 1];
+      const mag = Math.hypot(gx, gy);
+      if (mag === 0) continue;
+      edges.push({ x, y, mag, theta: Math.atan2(gy, gx) });
+      total += mag;
+    }
+  }
+  if (edges.length === 0) return null;
+  // Only the stronger edges; flat areas and noise just blur the histogram
+  const threshold = (2 * total) / ((w - 2) * (h - 2));
+  const strong = edges.filter((e) => e.mag >= threshold);
+  if (strong.length < 50) return null;
+
+  // Orientation histogram folded into 90°
+  const quarter = Math.PI / 2;
+  const hist = new Float64Array(ANGLE_BINS);
+  for (const e of strong) {
+    const t = ((e.theta % quarter) + quarter) % quarter;
+    hist[Math.min(ANGLE_BINS - 1, Math.floor((t / quarter) * ANGLE_BINS))] += e.mag;
+  }
+  const smooth = hist.map((_, i) => [-2, -1, 0, 1, 2].reduce(
+    (sum, d, j) => sum + [1, 2, 3, 2, 1][j] * hist[(i + d + ANGLE_BINS) % ANGLE_BINS], 0));
+  let peak = 0;
+  for (let i = 1; i < ANGLE_BINS; i++) if (smooth[i] > smooth[peak]) peak = i;
+  const mean = smooth.reduce((a, b) => a + b, 0) / ANGLE_BINS;
+  if (smooth[peak] < mean * MIN_ANGLE_CONTRAST) return null;
+
+  // Refine with the mean orientation of the edges near the peak (angles × 4, so 90° wraps to 0°)
+  const coarse = ((peak + 0.5) / ANGLE_BINS) * quarter;
+  let re = 0;
+  let im = 0;
+  for (const e of strong) {
+    if (Math.abs(Math.sin(2 * (e.theta - coarse))) > Math.sin(2 * FAMILY_TOLERANCE)) continue;
+    re += e.mag * Math.cos(4 * e.theta);
+    im += e.mag * Math.sin(4 * e.theta);
+  }
+  const estimate = Math.atan2(im, re) / 4;
+  const family = strong.filter((e) => Math.abs(Math.sin(2 * (e.theta - estimate))) <= Math.sin(2 * FAMILY_TOLERANCE));
+
+  // Edge orientations are biased by the pixel grid; the true angle is the one
+  // that stacks the edges into the sharpest profiles
+  let best = estimate;
+  let bestScore = -1;
+  for (let step = -ANGLE_SEARCH_STEPS; step <= ANGLE_SEARCH_STEPS; step++) {
+    const t = estimate + step * ANGLE_SEARCH_STEP;
+    const score = sharpness(family, t, w, h);
+    if (score > bestScore) {
+      bestScore = score;
+      best = t;
+    }
+  }
+  const angle = ((best * 180 / Math.PI) % 90 + 90) % 90;
+
+  // Edge strength profiles across each family
+  const a = angle * Math.PI / 180;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  const reach = Math.ceil(Math.hypot(w, h));
+  const profileU = new Float64Array(reach * 2);
+  const profileV = new Float64Array(reach * 2);
+  for (const e of strong) {
+    if (Math.abs(Math.sin(2 * (e.theta - a))) > Math.sin(2 * FAMILY_TOLERANCE)) continue;
+    // Normal along u (cos ≈ ±1) or along v
+    const alongU = Math.abs(Math.cos(e.theta - a)) > Math.abs(Math.sin(e.theta - a));
+    const pos = alongU ? e.x * cos + e.y * sin : -e.x * sin + e.y * cos;
+    (alongU ? profileU : profileV)[Math.round(pos) + reach] += e.mag;
+  }
+
+  const fu = periodOf(profileU);
+  const fv = periodOf(profileV);
+  if (!fu && !fv) return null;
+  // Square cells: one spacing for both families, from whichever is clearer when they disagree
+  let spacing;
+  if (fu && fv && Math.abs(fu.period - fv.period) / Math.max(fu.period, fv.period) < 0.15) {
+    spacing = (fu.period + fv.period) / 2;
+  } else {
+    spacing = (!fv || (fu && fu.strength >= fv.strength) ? fu : fv).period;
+  }
+
+  const toMedia = (profile, found) => (found ? (phaseOf(profile, spacing) - reach) / k : null);
+  return { angle, spacing: spacing / k, u: toMedia(profileU, fu), v: toMedia(profileV, fv) };
+}
+
+/** Sum of squares of the edge profiles across both families at `angle`; peaks when lines line up. */
+function sharpness(edges, angle, w, h) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const reach = Math.ceil(Math.hypot(w, h));
+  const profile = new Float64Array(reach * 4);
+  for (const e of edges) {
+    const alongU = Math.abs(Math.cos(e.theta - angle)) > Math.abs(Math.sin(e.theta - angle));
+    const pos = alongU ? e.x * cos + e.y * sin : -e.x * sin + e.y * cos;
+    profile[Math.round(pos) + reach + (alongU ? 0 : reach * 2)] += e.mag;
+  }
+  return profile.reduce((sum, v) => sum + v * v, 0);
+}
+
+/** 3×3 box blur; edge pixels are left as they are. */
+function blur(src, w, h) {
+  const out = Float32Array.from(src);
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      let sum = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) sum += src[(y + dy) * w + x + dx];
+      }
+      out[y * w + x] = sum / 9;
+    }
+  }
+  return out;
+}
+
+/**
+ * Strongest repeat spacing of a profile from its autocorrelation, or null
+ * when it doesn't repeat.
+ * @param {Float64Array} profile
+ * @returns {{period: number, strength: number}|null}
+ */
+function periodOf(profile) {
+  const first = profile.findIndex((v) => v > 0);
+  if (first < 0) return null;
+  let last = profile.length - 1;
+  while (profile[last] === 0) last--;
+  const span = profile.slice(first, last + 1);
+  const mean = span.reduce((a, b) => a + b, 0) / span.length;
+  const x = span.map((v) => v - mean);
+
+  const maxLag = Math.floor(x.length / 2);
+  if (maxLag <= MIN_SPACING) return null;
+  const corr = new Float64Array(maxLag + 1);
+  for (let lag = 0; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < x.length; i++) sum += x[i] * x[i + lag];
+    corr[lag] = sum;
+  }
+  if (corr[0] <= 0) return null;
+
+  // Peaks after the central lobe has died away. Multiples of the spacing
+  // peak too, so take the first one nearly as high as the highest.
+  let lag = 1;
+  while (lag <= maxLag && corr[lag] > 0) lag++;
+  const peaks = [];
+  for (let i = Math.max(lag, MIN_SPACING); i < maxLag; i++) {
+    if (corr[i] > 0 && corr[i] > corr[i - 1] && corr[i] >= corr[i + 1]) peaks.push(i);
+  }
+  if (peaks.length === 0) return null;
+  const highest = Math.max(...peaks.map((i) => corr[i]));
+  const best = peaks.find((i) => corr[i] >= highest * PEAK_RATIO);
+
+  const l = corr[best - 1];
+  const r = corr[best + 1];
+  const denom = l - 2 * corr[best] + r;
+  const shift = denom === 0 ? 0 : (0.5 * (l - r)) / denom;
+  return { period: best + shift, strength: corr[best] / corr[0] };
+}
+
+/** Position of one line of a profile repeating every `period`, in profile indices. */
+function phaseOf(profile, period) {
+  let re = 0;
+  let im = 0;
+  profile.forEach((v, i) => {
+    if (v === 0) return;
+    const t = (2 * Math.PI * i) / period;
+    re += v * Math.cos(t);
+    im += v * Math.sin(t);
+  });
+  const phase = Math.atan2(im, re);
+  return ((phase < 0 ? phase + 2 * Math.PI : phase) / (2 * Math.PI)) * period;
+}
+
+/* ── Reference points ── */
+
+/**
+ * PointPicker — collects clicked points on the media area, ahead of the
+ * canvases' own pointer handling, with a marker on each.
+ */
+export class PointPicker {
+  /** @type {HTMLElement} */
+  #area;
+  /** @type {HTMLElement[]} */
+  #markers = [];
+  /** @type {{x: number, y: number}[]} */
+  #points = [];
+  #count = 0;
+  /** @type {((points: {x: number, y: number}[]|null) => void)|null} */
+  #resolve = null;
+
+  /** @param {HTMLElement} area */
+  constructor(area) {
+    this.#area = area;
+    // Capture phase, so a pick never reaches the grid or annotation canvases
+    area.addEventListener('pointerdown', this.#onPointerDown, true);
+  }
+
+  get active() { return this.#resolve !== null; }
+
+  /** Points picked so far in the current pick. */
+  get picked() { return this.#points.length; }
+
+  /**
+   * Wait for `count` clicks. Resolves with the points in media area CSS px,
+   * or null if cancelled.
+   * @param {number} count
+   * @returns {Promise<{x: number, y: number}[]|null>}
+   */
+  pick(count) {
+    this.cancel();
+    this.#count = count;
+    this.#area.classList.add('picking');
+    return new Promise((resolve) => { this.#resolve = resolve; });
+  }
+
+  cancel() {
+    this.#finish(null);
+  }
+
+  #onPointerDown = (e) => {
+    if (!this.#resolve || e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const box = this.#area.getBoundingClientRect();
+    const p = { x: e.clientX - box.left, y: e.clientY - box.top };
+    this.#points.push(p);
+
+    const marker = document.createElement('div');
+    marker.className = 'pick-marker';
+    marker.style.left = `${p.x}px`;
+    marker.style.top = `${p.y}px`;
+    this.#area.appendChild(marker);
+    this.#markers.push(marker);
+
+    if (this.#points.length >= this.#count) this.#finish(this.#points);
+  };
+
+  #finish(points) {
+    const resolve = this.#resolve;
+    for (const m of this.#markers) m.remove();
+    this.#markers = [];
+    this.#points = [];
+    this.#resolve = null;
+    this.#area.classList.remove('picking');
+    resolve?.(points);
+  }
+
+  destroy() {
+    this.cancel();
+    this.#area.removeEventListener('pointerdown', this.#onPointerDown, true);
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * AnnotationRenderer — draws the annotations showing at the current video
+ * time on their own <canvas> above the grid, plus an outline around the
+ * selected one. Sits next to GridRenderer and mirrors its redraw loop.
+ */
+
+import { drawAnnotations, mediaRect, annotationBounds, isVisibleAt } from './annotations.js';
+import { containRect } from './snapshot.js';
+
+export class AnnotationRenderer {
+  /** @type {HTMLCanvasElement} */
+  #canvas;
+  /** @type {CanvasRenderingContext2D} */
+  #ctx;
+  /** @type {import('./annotations.js').AnnotationStore} */
+  #store;
+  /** @type {import('./media-loader.js').MediaLoader} */
+  #mediaLoader;
+  /** @type {((time: number|null, rect: {x: number, y: number, scale: number}) => import('./measure.js').MeasureScale)|null} */
+  #scaleAt;
+  /** @type {number} */
+  #rafId = 0;
+  /** @type {ResizeObserver} */
+  #resizeObserver;
+  #needsDraw = true;
+  #lastTime = NaN;
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {import('./annotations.js').AnnotationStore} store
+   * @param {import('./media-loader.js').MediaLoader} mediaLoader
+   * @param {Function} [scaleAt] (time, rect) → MeasureScale that measurements are read with
+   */
+  constructor(canvas, store, mediaLoader, scaleAt = null) {
+    this.#canvas = canvas;
+    this.#ctx = canvas.getContext('2d');
+    this.#store = store;
+    this.#mediaLoader = mediaLoader;
+    this.#scaleAt = scaleAt;
+
+    store.onChange(() => { this.#needsDraw = true; });
+    mediaLoader.onChange(() => { this.#needsDraw = true; });
+    // Media size is only known once it has loaded
+    mediaLoader.videoElement.addEventListener('loadedmetadata', () => { this.#needsDraw = true; });
+    mediaLoader.imageElement.addEventListener('load', () => { this.#needsDraw = true; });
+
+    this.#resizeObserver = new ResizeObserver(() => {
+      this.#syncSize();
+      this.#needsDraw = true;
+    });
+    this.#resizeObserver.observe(canvas);
+
+    this.#syncSize();
+    this.#loop();
+  }
+
+  /** Video time annotations are shown at; null for stills (show everything). */
+  get #time() {
+    return this.#mediaLoader.mediaType === 'video' ? this.#mediaLoader.currentTime : null;
+  }
+
+  /** Sync canvas backing size to CSS size × devicePixelRatio. */
+  #syncSize() {
+    const dpr = window.devicePixelRatio || 1;
+    this.#canvas.width = this.#canvas.clientWidth * dpr;
+    this.#canvas.height = this.#canvas.clientHeight * dpr;
+    this.#ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  /** requestAnimationFrame loop — redraws on changes and when the playhead moves. */
+  #loop() {
+    this.#rafId = requestAnimationFrame(() => this.#loop());
+    const t = this.#time;
+    if (t !== this.#lastTime) {
+      this.#lastTime = t;
+      this.#needsDraw = true;
+    }
+    if (!this.#needsDraw) return;
+    this.#needsDraw = false;
+    this.#draw();
+  }
+
+  #draw() {
+    const ctx = this.#ctx;
+    const w = this.#canvas.clientWidth;
+    const h = this.#canvas.clientHeight;
+    ctx.clearRect(0, 0, w, h);
+
+    const rect = mediaRect(this.#mediaLoader, w, h);
+    if (!rect) return;
+    const t = this.#time;
+    drawAnnotations(ctx, this.#store.visibleAt(t), rect, this.#scaleAt?.(t, rect));
+
+    const sel = this.#store.selected;
+    if (sel && isVisibleAt(sel, t)) {
+      const b = annotationBounds(sel);
+      const pad = 6 + (sel.width * rect.scale) / 2;
+      ctx.save();
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 3]);
+      ctx.strokeRect(
+        rect.x + b.x * rect.scale - pad,
+        rect.y + b.y * rect.scale - pad,
+        b.w * rect.scale + pad * 2,
+        b.h * rect.scale + pad * 2,
+      );
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Draw the annotations showing at `time` onto an arbitrary context whose
+   * media is contain-fitted into width×height. Used by snapshot compositing
+   * and video export.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} width
+   * @param {number} height
+   * @param {number|null} [time] video time in seconds; null draws every annotation
+   * @param {{width: number, height: number}} [mediaSize] media other than the one loaded, e.g. a queued photo
+   */
+  drawTo(ctx, width, height, time = null, mediaSize = null) {
+    const rect = mediaSize
+      ? containRect(mediaSize.width, mediaSize.height, width, height)
+      : mediaRect(this.#mediaLoader, width, height);
+    if (rect) drawAnnotations(ctx, this.#store.visibleAt(time), rect, this.#scaleAt?.(time, rect));
+  }
+
+  /** Force a redraw on next frame. */
+  invalidate() {
+    this.#needsDraw = true;
+  }
+
+  destroy() {
+    cancelAnimationFrame(this.#rafId);
+    this.#resizeObserver.disconnect();
+  }
+}
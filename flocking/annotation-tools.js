@@ -0,0 +1,299 @@
+/**
+ * AnnotationTools — pointer input for drawing, selecting and moving
+ * annotations and measurements on the annotation canvas.
+ * With the 'grid' tool the canvas lets pointer events through to the grid
+ * canvas below, so Gestures keep working.
+ */
+
+import { mediaRect, toMedia, hitAnnotation } from './annotations.js';
+import { MEASURE_TYPES } from './measure.js';
+
+export const ANNOTATION_TOOLS = ['grid', 'select', 'arrow', 'freehand', 'circle', 'text', 'ruler', 'angle', 'distance'];
+
+/** Tools drawn with a single drag from one point to another. */
+const DRAG_TOOLS = ['arrow', 'circle', 'ruler', 'distance'];
+
+/** Hit-test tolerance around a stroke, in CSS pixels. */
+const HIT_SLOP = 6;
+/** Freehand points closer than this (CSS pixels) are dropped. */
+const MIN_STROKE_STEP = 2;
+/** Arrows and circles shorter than this (CSS pixels) are discarded as stray clicks. */
+const MIN_SHAPE_SIZE = 4;
+
+export class AnnotationTools {
+  /** @type {Set<Function>} */
+  #listeners = new Set();
+  /** @type {HTMLCanvasElement} */
+  #canvas;
+  /** @type {import('./annotations.js').AnnotationStore} */
+  #store;
+  /** @type {import('./media-loader.js').MediaLoader} */
+  #mediaLoader;
+  /** @type {import('./history.js').EditHistory|null} */
+  #history;
+
+  #tool = 'grid';
+  /** Style for new annotations. Width is in CSS pixels at the current zoom. */
+  #color = '#ff3b30';
+  #lineWidth = 3;
+  #text = '';
+  /** Seconds new annotations on a video stay up; null = always, Infinity = until the end. */
+  #hold = null;
+
+  /** @type {{id: number, type: string, secondArm?: boolean}|null} annotation being drawn; an angle's second arm follows the pointer after the first drag */
+  #drawing = null;
+  /** @type {{id: number, start: {x: number, y: number}, points: {x: number, y: number}[]}|null} */
+  #moving = null;
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {import('./annotations.js').AnnotationStore} store
+   * @param {import('./media-loader.js').MediaLoader} mediaLoader
+   * @param {import('./history.js').EditHistory} [history] records each stroke or move as one undo step
+   */
+  constructor(canvas, store, mediaLoader, history = null) {
+    this.#canvas = canvas;
+    this.#store = store;
+    this.#mediaLoader = mediaLoader;
+    this.#history = history;
+
+    canvas.addEventListener('pointerdown', this.#onPointerDown);
+    canvas.addEventListener('pointermove', this.#onPointerMove);
+    canvas.addEventListener('pointerup', this.#onPointerUp);
+    canvas.addEventListener('pointercancel', this.#onPointerUp);
+    this.#syncCanvas();
+  }
+
+  get tool() { return this.#tool; }
+  set tool(v) {
+    if (!ANNOTATION_TOOLS.includes(v) || v === this.#tool) return;
+    this.#finishDrawing();
+    this.#tool = v;
+    if (v === 'grid') this.#store.select(null);
+    this.#syncCanvas();
+    this.#notify();
+  }
+
+  get color() { return this.#color; }
+  set color(v) {
+    if (typeof v !== 'string' || !/^#[0-9a-f]{6}$/i.test(v)) return;
+    this.#color = v;
+    this.#notify();
+  }
+
+  get lineWidth() { return this.#lineWidth; }
+  set lineWidth(v) {
+    if (!Number.isFinite(v)) return;
+    this.#lineWidth = Math.max(1, Math.min(20, v));
+    this.#notify();
+  }
+
+  /** Text placed by the text tool. */
+  get text() { return this.#text; }
+  set text(v) {
+    this.#text = String(v);
+    this.#notify();
+  }
+
+  get hold() { return this.#hold; }
+  set hold(v) {
+    this.#hold = v === null || v === Infinity || (Number.isFinite(v) && v > 0) ? v : null;
+    this.#notify();
+  }
+
+  /** Delete the selected annotation as one undo step. */
+  deleteSelected() {
+    const sel = this.#store.selected;
+    if (sel) this.#edit('Delete annotation', null, () => this.#store.remove(sel.id));
+  }
+
+  /* ── Pointer input ── */
+
+  #onPointerDown = (e) => {
+    if (e.button !== 0 || this.#tool === 'grid') return;
+    const hit = this.#pointer(e);
+    if (!hit) return;
+    const { p, tolerance } = hit;
+
+    // Second click of an angle places the end of its second arm
+    if (this.#drawing?.secondArm) {
+      const a = this.#store.get(this.#drawing.id);
+      if (a) this.#edit(this.#label, 'annotate', () => this.#store.modify(a.id, { points: [a.points[0], a.points[1], p] }));
+      this.#finishDrawing();
+      return;
+    }
+    this.#canvas.setPointerCapture(e.pointerId);
+
+    if (this.#tool === 'select') {
+      const t = this.#time;
+      const target = this.#store.visibleAt(t).reverse().find((a) => hitAnnotation(a, p, tolerance));
+      this.#store.select(target?.id ?? null);
+      if (target) {
+        this.#moving = { id: target.id, start: p, points: target.points };
+        this.#history?.begin('annotate');
+      }
+      return;
+    }
+
+    if (this.#tool === 'text' && !this.#text.trim()) return;
+
+    const scale = tolerance / HIT_SLOP;
+    const label = this.#label;
+    const shape = {
+      type: this.#tool,
+      points: DRAG_TOOLS.includes(this.#tool) ? [p, p] : this.#tool === 'angle' ? [p, p, p] : [p],
+      color: this.#color,
+      width: this.#lineWidth * scale,
+      text: this.#text,
+      ...this.#span(),
+    };
+    this.#history?.begin('annotate');
+    let id = null;
+    this.#edit(label, 'annotate', () => { id = this.#store.add(shape); });
+    this.#store.select(id);
+    if (this.#tool === 'text') {
+      this.#history?.commit();
+      return;
+    }
+    this.#drawing = { id, type: this.#tool };
+  };
+
+  #onPointerMove = (e) => {
+    if (!this.#drawing && !this.#moving) {
+      if (this.#tool === 'select') {
+        const hit = this.#pointer(e);
+        const over = hit && this.#store.visibleAt(this.#time).some((a) => hitAnnotation(a, hit.p, hit.tolerance));
+        this.#canvas.style.cursor = over ? 'move' : '';
+      }
+      return;
+    }
+    const hit = this.#pointer(e);
+    if (!hit) return;
+    const { p, tolerance } = hit;
+
+    if (this.#moving) {
+      const m = this.#moving;
+      const dx = p.x - m.start.x;
+      const dy = p.y - m.start.y;
+      this.#edit('Move annotation', 'annotate', () => {
+        this.#store.modify(m.id, { points: m.points.map((q) => ({ x: q.x + dx, y: q.y + dy })) });
+      });
+      return;
+    }
+
+    const a = this.#store.get(this.#drawing.id);
+    if (!a) return;
+    const label = this.#label;
+    if (a.type === 'freehand') {
+      const last = a.points[a.points.length - 1];
+      const step = (MIN_STROKE_STEP * tolerance) / HIT_SLOP;
+      if (Math.hypot(p.x - last.x, p.y - last.y) < step) return;
+      this.#edit(label, 'annotate', () => {
+        this.#store.modify(a.id, { points: [...a.points, p] });
+      });
+    } else if (a.type === 'angle') {
+      // First drag lays out the first arm up to the vertex, then the second arm follows
+      const points = this.#drawing.secondArm ? [a.points[0], a.points[1], p] : [a.points[0], p, p];
+      this.#edit(label, 'annotate', () => this.#store.modify(a.id, { points }));
+    } else {
+      this.#edit(label, 'annotate', () => {
+        this.#store.modify(a.id, { points: [a.points[0], p] });
+      });
+    }
+  };
+
+  #onPointerUp = () => {
+    const drawing = this.#drawing;
+    if (drawing?.secondArm) return;
+    if (drawing && (DRAG_TOOLS.includes(drawing.type) || drawing.type === 'angle')) {
+      const a = this.#store.get(drawing.id);
+      const hit = this.#rect();
+      const [p0, p1] = a ? a.points : [];
+      if (a && hit && Math.hypot(p1.x - p0.x, p1.y - p0.y) * hit.scale < MIN_SHAPE_SIZE) {
+        this.#edit(this.#label, 'annotate', () => this.#store.remove(a.id));
+      } else if (a && drawing.type === 'angle') {
+        drawing.secondArm = true;
+        return;
+      }
+    }
+    this.#finishDrawing();
+  };
+
+  /** End the stroke or move in progress as one undo step. */
+  #finishDrawing() {
+    if (this.#drawing || this.#moving) this.#history?.commit();
+    this.#drawing = null;
+    this.#moving = null;
+  }
+
+  /* ── Helpers ── */
+
+  /** Undo label for what the current tool adds. */
+  get #label() {
+    return MEASURE_TYPES.includes(this.#tool) ? 'Add measurement' : 'Add annotation';
+  }
+
+  /** Video time new annotations start at, or null for stills. */
+  get #time() {
+    return this.#mediaLoader.mediaType === 'video' ? this.#mediaLoader.currentTime : null;
+  }
+
+  /** Time span for a new annotation from the hold setting. */
+  #span() {
+    const t = this.#time;
+    if (t === null || this.#hold === null) return { start: null, end: null };
+    if (this.#hold === Infinity) return { start: t, end: null };
+    const duration = this.#mediaLoader.duration;
+    return { start: t, end: duration ? Math.min(duration, t + this.#hold) : t + this.#hold };
+  }
+
+  #rect() {
+    return mediaRect(this.#mediaLoader, this.#canvas.clientWidth, this.#canvas.clientHeight);
+  }
+
+  /**
+   * Pointer position in media pixels plus the hit tolerance at the current
+   * zoom, or null when no media is shown.
+   * @param {PointerEvent} e
+   */
+  #pointer(e) {
+    const rect = this.#rect();
+    if (!rect) return null;
+    const box = this.#canvas.getBoundingClientRect();
+    return {
+      p: toMedia(rect, e.clientX - box.left, e.clientY - box.top),
+      tolerance: HIT_SLOP / rect.scale,
+    };
+  }
+
+  /** Route pointer events to this canvas only while an annotation tool is active. */
+  #syncCanvas() {
+    const active = this.#tool !== 'grid';
+    this.#canvas.classList.toggle('active', active);
+    this.#canvas.style.cursor = active && this.#tool !== 'select' ? 'crosshair' : '';
+  }
+
+  #edit(label, mergeKey, fn) {
+    if (this.#history) this.#history.record(this.#store, fn, { label, mergeKey });
+    else fn();
+  }
+
+  /* ── Observer pattern ── */
+
+  /** Register a listener for tool and style changes. Returns an unsubscribe function. */
+  onChange(fn) {
+    this.#listeners.add(fn);
+    return () => this.#listeners.delete(fn);
+  }
+
+  #notify() {
+    for (const fn of this.#listeners) fn(this);
+  }
+
+  destroy() {
+    this.#canvas.removeEventListener('pointerdown', this.#onPointerDown);
+    this.#canvas.removeEventListener('pointermove', this.#onPointerMove);
+    this.#canvas.removeEventListener('pointerup', this.#onPointerUp);
+    this.#canvas.removeEventListener('pointercancel', this.#onPointerUp);
+  }
+}
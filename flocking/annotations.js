@@ -0,0 +1,358 @@
+/**
+ * Annotations — coach markup drawn over the media: arrows, freehand strokes,
+ * circles and text labels, plus the measurements from measure.js.
+ *
+ * Points and sizes are in media pixels (the video's or image's natural
+ * size), so marks stay on the jumper they were drawn around whatever size the
+ * media is displayed at. An annotation with a start/end time only shows while
+ * the video playhead is inside that span.
+ */
+
+import { containRect } from './snapshot.js';
+import { MEASURE_TYPES, drawMeasurement } from './measure.js';
+
+export const ANNOTATION_TYPES = ['arrow', 'freehand', 'circle', 'text', ...MEASURE_TYPES];
+
+/** Point count of each fixed-shape type; freehand strokes take any number. */
+const POINT_COUNTS = { arrow: 2, circle: 2, text: 1, ruler: 2, distance: 2, angle: 3 };
+
+/** Text height per unit of stroke width. */
+const TEXT_SCALE = 6;
+const MAX_TEXT_LENGTH = 200;
+const MAX_POINTS = 5000;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * @typedef {{
+ *   id: number,
+ *   type: 'arrow'|'freehand'|'circle'|'text'|'ruler'|'angle'|'distance',
+ *   points: {x: number, y: number}[],
+ *   color: string,
+ *   width: number,
+ *   text: string,
+ *   start: number|null,
+ *   end: number|null
+ * }} Annotation
+ */
+
+export class AnnotationStore {
+  /** @type {Set<Function>} */
+  #listeners = new Set();
+  /** @type {Annotation[]} drawing order */
+  #items = [];
+  #selectedId = null;
+  #nextId = 1;
+
+  /** All annotations in drawing order (copies). */
+  get items() { return this.#items.map(copy); }
+  get length() { return this.#items.length; }
+
+  /** @returns {Annotation|null} */
+  get selected() {
+    const a = this.#find(this.#selectedId);
+    return a ? copy(a) : null;
+  }
+
+  /** @returns {Annotation|null} */
+  get(id) {
+    const a = this.#find(id);
+    return a ? copy(a) : null;
+  }
+
+  /**
+   * Annotations showing at video time `t`; all of them when `t` is null
+   * (still images, or no timeline).
+   * @param {number|null} t
+   */
+  visibleAt(t) {
+    return this.#items.filter((a) => isVisibleAt(a, t)).map(copy);
+  }
+
+  /**
+   * Add an annotation on top. Returns its id, or null if the shape is invalid.
+   * @param {object} shape
+   */
+  add(shape) {
+    const a = normalizeAnnotation(shape);
+    if (!a) return null;
+    a.id = this.#nextId++;
+    this.#items.push(a);
+    this.#notify();
+    return a.id;
+  }
+
+  /** Change some fields of an annotation; invalid results are ignored. */
+  modify(id, props) {
+    const i = this.#items.findIndex((a) => a.id === id);
+    if (i < 0) return;
+    const a = normalizeAnnotation({ ...this.#items[i], ...props });
+    if (!a) return;
+    a.id = id;
+    this.#items[i] = a;
+    this.#notify();
+  }
+
+  remove(id) {
+    const i = this.#items.findIndex((a) => a.id === id);
+    if (i < 0) return;
+    this.#items.splice(i, 1);
+    if (this.#selectedId === id) this.#selectedId = null;
+    this.#notify();
+  }
+
+  /** Select an annotation by id, or clear the selection with null. */
+  select(id) {
+    const next = this.#find(id) ? id : null;
+    if (next === this.#selectedId) return;
+    this.#selectedId = next;
+    this.#notify();
+  }
+
+  clear() {
+    if (this.#items.length === 0) return;
+    this.#items = [];
+    this.#selectedId = null;
+    this.#notify();
+  }
+
+  /** Serializable list. Together with update() this makes the store an EditHistory target. */
+  toJSON() {
+    return this.#items.map(copy);
+  }
+
+  /**
+   * Replace every annotation (undo/redo, session import). Invalid entries
+   * are dropped; ids are kept when present and unique.
+   * @param {unknown} list
+   */
+  update(list) {
+    const items = [];
+    const ids = new Set();
+    for (const raw of Array.isArray(list) ? list : []) {
+      const a = normalizeAnnotation(raw);
+      if (!a) continue;
+      if (Number.isInteger(raw.id) && raw.id > 0 && !ids.has(raw.id)) {
+        a.id = raw.id;
+        ids.add(raw.id);
+      }
+      items.push(a);
+    }
+    let next = Math.max(this.#nextId, ...items.map((a) => (a.id ?? 0) + 1));
+    for (const a of items) if (a.id === undefined) a.id = next++;
+    this.#items = items;
+    this.#nextId = next;
+    if (!this.#find(this.#selectedId)) this.#selectedId = null;
+    this.#notify();
+  }
+
+  /* ── Observer pattern ── */
+
+  /** Register a change listener. Returns an unsubscribe function. */
+  onChange(fn) {
+    this.#listeners.add(fn);
+    return () => this.#listeners.delete(fn);
+  }
+
+  #notify() {
+    for (const fn of this.#listeners) fn(this);
+  }
+
+  #find(id) {
+    return id == null ? undefined : this.#items.find((a) => a.id === id);
+  }
+}
+
+/**
+ * Validate and clean an annotation-like object. Returns null if unusable.
+ * @param {any} raw
+ * @returns {Annotation|null}
+ */
+export function normalizeAnnotation(raw) {
+  if (!raw || !ANNOTATION_TYPES.includes(raw.type) || !Array.isArray(raw.points)) return null;
+  const points = raw.points
+    .filter((p) => p && Number.isFinite(p.x) && Number.isFinite(p.y))
+    .slice(0, MAX_POINTS)
+    .map((p) => ({ x: p.x, y: p.y }));
+  const count = POINT_COUNTS[raw.type];
+  if (points.length < (count ?? 1)) return null;
+
+  const text = typeof raw.text === 'string' ? raw.text.slice(0, MAX_TEXT_LENGTH) : '';
+  if (raw.type === 'text' && !text.trim()) return null;
+
+  let start = Number.isFinite(raw.start) ? Math.max(0, raw.start) : null;
+  let end = Number.isFinite(raw.end) ? Math.max(0, raw.end) : null;
+  if (start !== null && end !== null && end < start) [start, end] = [end, start];
+
+  return {
+    id: undefined,
+    type: raw.type,
+    points: count ? points.slice(0, count) : points,
+    color: typeof raw.color === 'string' && HEX_COLOR.test(raw.color) ? raw.color.toLowerCase() : '#ff3b30',
+    width: Number.isFinite(raw.width) ? Math.max(0.5, Math.min(200, raw.width)) : 3,
+    text: raw.type === 'text' ? text : '',
+    start,
+    end,
+  };
+}
+
+/** @param {Annotation} a @param {number|null} t */
+export function isVisibleAt(a, t) {
+  if (t == null) return true;
+  // Half a frame (at 30 fps) of slack so a span set on a frame includes it
+  const slack = 1 / 60;
+  return (a.start === null || t >= a.start - slack) && (a.end === null || t <= a.end + slack);
+}
+
+/* ── Media ↔ screen mapping ── */
+
+/**
+ * Where the loaded media sits in a width×height box, or null without media.
+ * @param {import('./media-loader.js').MediaLoader} mediaLoader
+ * @returns {{x: number, y: number, scale: number}|null}
+ */
+export function mediaRect(mediaLoader, width, height) {
+  const { width: srcW, height: srcH } = mediaLoader.mediaSize;
+  if (!srcW || !srcH || !width || !height) return null;
+  return containRect(srcW, srcH, width, height);
+}
+
+/** Box pixels → media pixels. */
+export function toMedia(rect, x, y) {
+  return { x: (x - rect.x) / rect.scale, y: (y - rect.y) / rect.scale };
+}
+
+/* ── Drawing ── */
+
+/**
+ * Draw annotations onto a context whose media sits at `rect`.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Annotation[]} list
+ * @param {{x: number, y: number, scale: number}} rect
+ * @param {import('./measure.js').MeasureScale} [scale] for measurement readings; screen pixels when omitted
+ */
+export function drawAnnotations(ctx, list, rect, scale = null) {
+  scale ??= { perPx: rect.scale, unit: 'px', rotation: 0 };
+  ctx.save();
+  ctx.translate(rect.x, rect.y);
+  ctx.scale(rect.scale, rect.scale);
+  for (const a of list) {
+    if (MEASURE_TYPES.includes(a.type)) drawMeasurement(ctx, a, scale, 1 / rect.scale);
+    else drawAnnotation(ctx, a);
+  }
+  ctx.restore();
+}
+
+/** Draw one annotation in media coordinates. */
+function drawAnnotation(ctx, a) {
+  ctx.save();
+  ctx.strokeStyle = a.color;
+  ctx.fillStyle = a.color;
+  ctx.lineWidth = a.width;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  const [p0, p1] = a.points;
+  switch (a.type) {
+    case 'arrow': {
+      const angle = Math.atan2(p1.y - p0.y, p1.x - p0.x);
+      const head = a.width * 4 + 6;
+      ctx.beginPath();
+      ctx.moveTo(p0.x, p0.y);
+      ctx.lineTo(p1.x, p1.y);
+      for (const side of [-1, 1]) {
+        const wing = angle + Math.PI + side * (Math.PI / 7);
+        ctx.moveTo(p1.x, p1.y);
+        ctx.lineTo(p1.x + Math.cos(wing) * head, p1.y + Math.sin(wing) * head);
+      }
+      ctx.stroke();
+      break;
+    }
+    case 'freehand':
+      ctx.beginPath();
+      ctx.moveTo(p0.x, p0.y);
+      // A single click leaves a dot
+      if (a.points.length === 1) ctx.lineTo(p0.x + 0.01, p0.y);
+      for (const p of a.points.slice(1)) ctx.lineTo(p.x, p.y);
+      ctx.stroke();
+      break;
+    case 'circle':
+      ctx.beginPath();
+      ctx.arc(p0.x, p0.y, Math.hypot(p1.x - p0.x, p1.y - p0.y), 0, Math.PI * 2);
+      ctx.stroke();
+      break;
+    case 'text':
+      ctx.font = `600 ${a.width * TEXT_SCALE}px system-ui, sans-serif`;
+      ctx.textBaseline = 'top';
+      // Dark outline keeps labels readable on any footage
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+      ctx.lineWidth = a.width;
+      ctx.strokeText(a.text, p0.x, p0.y);
+      ctx.fillText(a.text, p0.x, p0.y);
+      break;
+  }
+  ctx.restore();
+}
+
+/* ── Hit-testing ── */
+
+/**
+ * Bounding box of an annotation in media pixels.
+ * @param {Annotation} a
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+export function annotationBounds(a) {
+  if (a.type === 'circle') {
+    const [c, e] = a.points;
+    const r = Math.hypot(e.x - c.x, e.y - c.y);
+    return { x: c.x - r, y: c.y - r, w: r * 2, h: r * 2 };
+  }
+  if (a.type === 'text') {
+    // Approximate; good enough for selecting and outlining
+    const size = a.width * TEXT_SCALE;
+    return { x: a.points[0].x, y: a.points[0].y, w: a.text.length * size * 0.6, h: size * 1.2 };
+  }
+  const xs = a.points.map((p) => p.x);
+  const ys = a.points.map((p) => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
+
+/**
+ * Whether media point `p` is on annotation `a`, within `tolerance` media px.
+ * @param {Annotation} a
+ */
+export function hitAnnotation(a, p, tolerance) {
+  const reach = tolerance + a.width / 2;
+  switch (a.type) {
+    case 'circle': {
+      const [c, e] = a.points;
+      const r = Math.hypot(e.x - c.x, e.y - c.y);
+      return Math.abs(Math.hypot(p.x - c.x, p.y - c.y) - r) <= reach;
+    }
+    case 'text': {
+      const b = annotationBounds(a);
+      return p.x >= b.x - tolerance && p.x <= b.x + b.w + tolerance
+        && p.y >= b.y - tolerance && p.y <= b.y + b.h + tolerance;
+    }
+    default: {
+      if (a.points.length === 1) return Math.hypot(p.x - a.points[0].x, p.y - a.points[0].y) <= reach;
+      for (let i = 1; i < a.points.length; i++) {
+        if (segmentDistance(p, a.points[i - 1], a.points[i]) <= reach) return true;
+      }
+      return false;
+    }
+  }
+}
+
+function segmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+function copy(a) {
+  return { ...a, points: a.points.map((p) => ({ ...p })) };
+}
@@ -3,27 +3,52 @@
  * Port of ContentView.swift + ControlPanelView.swift wiring.
  */
 
-import { GridConfiguration } from './grid-config.js';
+import { LayerStack } from './layers.js';
 import { GridRenderer } from './grid-renderer.js';
-import { MediaLoader } from './media-loader.js';
+import { MediaLoader, listCameras } from './media-loader.js';
+import { ReplayBuffer, REPLAY_LENGTHS, isReplaySupported } from './replay-buffer.js';
 import { Gestures } from './gestures.js';
-import { captureSnapshot } from './snapshot.js';
-import { renderFormation } from './formation.js';
+import { captureSnapshot, loadSnapshotOptions, saveSnapshotOptions, snapshotSize } from './snapshot.js';
+import { Formation, renderFormation, renderDiveSheet, downloadFormation, readFormationFile } from './formation.js';
+import { FormationEditor } from './formation-editor.js';
+import { Timeline, formatTime } from './timeline.js';
+import { exportVideo, isVideoExportSupported } from './video-export.js';
+import { listPresets, savePreset, applyPreset, deletePreset } from './presets.js';
+import { buildSession, downloadSession, readSessionFile } from './session.js';
+import { EditHistory } from './history.js';
+import { AnnotationStore, mediaRect, toMedia } from './annotations.js';
+import { AnnotationRenderer } from './annotation-renderer.js';
+import { AnnotationTools } from './annotation-tools.js';
+import { MEASURE_TYPES, measureScale, readMeasurement } from './measure.js';
+import { alignToFrame, alignToPoints, PointPicker } from './align.js';
+import { trackPoints, trackKeyframes } from './tracker.js';
+import { exportBatch, thumbnailURL, releaseThumbnail } from './batch.js';
+import { ROTATION_PRESETS, NUDGE_STEP, ROTATE_STEP, CELL_STEP, renderShortcuts } from './shortcuts.js';
+import { registerServiceWorker, onLaunchFiles } from './pwa.js';
 
 /* ── DOM refs ── */
 const $ = (sel) => document.querySelector(sel);
 
 const mediaArea   = $('#mediaArea');
 const gridCanvas  = $('#gridCanvas');
+const formationCanvas  = $('#formationCanvas');
+const annotationCanvas = $('#annotationCanvas');
 const videoEl     = $('#videoEl');
 const imageEl     = $('#imageEl');
 const fileInput   = $('#fileInput');
 const placeholder = $('#placeholder');
+const stage       = $('#stage');
+const comparePane = $('#comparePane');
 
 // Sidebar controls
 const btnOpen       = $('#btnOpen');
 const btnPlayPause  = $('#btnPlayPause');
 const fileName      = $('#fileName');
+const gridTypeSelect  = $('#gridType');
+const btnResetCorners = $('#btnResetCorners');
+const ringCountInput  = $('#ringCount');
+const spokeCountInput = $('#spokeCount');
+const cellSizeTitle   = $('#cellSizeTitle');
 const gridNInput    = $('#gridN');
 const gridNHint     = $('#gridNHint');
 const cellSizeInput = $('#cellSize');
@@ -37,19 +62,74 @@ const lineOpacityInput = $('#lineOpacity');
 const lineOpacityValue = $('#lineOpacityValue');
 const btnCenter     = $('#btnCenter');
 const positionHint  = $('#positionHint');
+const btnAutoAlign  = $('#btnAutoAlign');
+const btnAlignPoints = $('#btnAlignPoints');
+const alignCellsInput = $('#alignCells');
+const alignHint     = $('#alignHint');
 const btnSnapshot   = $('#btnSnapshot');
+const btnUndo       = $('#btnUndo');
+const btnRedo       = $('#btnRedo');
+
+// Keyframe timeline
+const timelineEl    = $('#timeline');
+const btnPrevKey    = $('#btnPrevKey');
+const btnAddKey     = $('#btnAddKey');
+const btnDeleteKey  = $('#btnDeleteKey');
+const btnNextKey    = $('#btnNextKey');
+const keyframeHint  = $('#keyframeHint');
+
+// Transport
+const btnFrameBack     = $('#btnFrameBack');
+const btnTransportPlay = $('#btnTransportPlay');
+const btnFrameFwd      = $('#btnFrameFwd');
+const playbackRateSel  = $('#playbackRate');
+const btnLoopIn        = $('#btnLoopIn');
+const btnLoopOut       = $('#btnLoopOut');
+const btnLoopClear     = $('#btnLoopClear');
 
 /* ── Core modules ── */
-const config = new GridConfiguration();
-const renderer = new GridRenderer(gridCanvas, config);
+const layers = new LayerStack();
+/** Config and keyframes of the selected layer — what the sidebar edits. */
+let config = layers.selected.config;
+let keyframes = layers.selected.keyframes;
+layers.onChange(() => {
+  config = layers.selected.config;
+  keyframes = layers.selected.keyframes;
+});
+const renderer = new GridRenderer(gridCanvas, layers);
+// The grid repeated over the second clip in side-by-side comparison
+const compareRenderer = new GridRenderer($('#compareGridCanvas'), layers, { handles: false });
 const mediaLoader = new MediaLoader({
   video: videoEl,
   image: imageEl,
   fileInput,
   dropZone: mediaArea,
   placeholder,
+  compareVideo: $('#compareVideo'),
+  compareImage: $('#compareImage'),
+  compareInput: $('#compareInput'),
+  compareDropZone: comparePane,
+});
+const editHistory = new EditHistory();
+const gestures = new Gestures(gridCanvas, layers, editHistory, renderer);
+renderer.attachTimeline(() =>
+  mediaLoader.mediaType === 'video' ? mediaLoader.currentTime : null);
+const formation = new Formation();
+const formationEditor = new FormationEditor(formationCanvas, formation, layers, renderer, editHistory);
+const annotations = new AnnotationStore();
+const annotationRenderer = new AnnotationRenderer(annotationCanvas, annotations, mediaLoader,
+  (time, rect) => measureScale(renderer.propsAt(layers.selected, time), rect));
+const annotationTools = new AnnotationTools(annotationCanvas, annotations, mediaLoader, editHistory);
+const pointPicker = new PointPicker(mediaArea);
+const timeline = new Timeline({
+  layers,
+  mediaLoader,
+  trackEl: $('#keyframeTrack'),
+  playheadEl: $('#playhead'),
+  seekBar: $('#seekBar'),
+  timecodeEl: $('#timecode'),
+  loopRegionEl: $('#loopRegion'),
 });
-const gestures = new Gestures(gridCanvas, config);
 
 /* ── Sidebar → Config (input events) ── */
 
@@ -57,48 +137,188 @@ btnOpen.addEventListener('click', () => mediaLoader.openPicker());
 
 btnPlayPause.addEventListener('click', () => mediaLoader.togglePlayPause());
 
+/**
+ * Apply a sidebar edit to the selected layer as one undo step. Edits
+ * sharing a mergeKey (a slider sweep) collapse into one entry until the
+ * input's `change` event commits it. Locked layers ignore edits.
+ */
+function editGrid(label, fn, mergeKey) {
+  if (layers.selected.locked) {
+    syncUI();
+    return;
+  }
+  editHistory.record(config, fn, { label, mergeKey });
+}
+
+gridTypeSelect.addEventListener('change', () => {
+  editGrid('Grid type', () => { config.gridType = gridTypeSelect.value; });
+});
+
+btnResetCorners.addEventListener('click', () => {
+  editGrid('Reset corners', () => config.resetCorners());
+});
+
+ringCountInput.addEventListener('input', () => {
+  editGrid('Rings', () => { config.ringCount = parseInt(ringCountInput.value, 10) || 1; }, 'ringCount');
+});
+
+spokeCountInput.addEventListener('input', () => {
+  editGrid('Spokes', () => { config.spokeCount = parseInt(spokeCountInput.value, 10) || 0; }, 'spokeCount');
+});
+
 gridNInput.addEventListener('input', () => {
-  config.gridN = parseInt(gridNInput.value, 10) || 1;
+  editGrid('Grid size', () => { config.gridN = parseInt(gridNInput.value, 10) || 1; }, 'gridN');
 });
 
 cellSizeInput.addEventListener('input', () => {
-  config.cellSize = parseFloat(cellSizeInput.value);
+  editGrid('Cell size', () => { config.cellSize = parseFloat(cellSizeInput.value); }, 'cellSize');
 });
 
 rotationInput.addEventListener('input', () => {
-  config.rotation = parseFloat(rotationInput.value);
+  editGrid('Rotation', () => { config.rotation = parseFloat(rotationInput.value); }, 'rotation');
 });
 
 // Rotation preset buttons
 document.querySelectorAll('[data-rotation]').forEach((btn) => {
   btn.addEventListener('click', () => {
-    config.rotation = parseFloat(btn.dataset.rotation);
+    editGrid('Rotation', () => { config.rotation = parseFloat(btn.dataset.rotation); });
   });
 });
 
 lineColorInput.addEventListener('input', () => {
-  config.lineColor = lineColorInput.value;
+  editGrid('Line color', () => { config.lineColor = lineColorInput.value; }, 'lineColor');
 });
 
 lineWidthInput.addEventListener('input', () => {
-  config.lineWidth = parseFloat(lineWidthInput.value);
+  editGrid('Line width', () => { config.lineWidth = parseFloat(lineWidthInput.value); }, 'lineWidth');
 });
 
 lineOpacityInput.addEventListener('input', () => {
-  config.lineOpacity = parseFloat(lineOpacityInput.value);
+  editGrid('Line opacity', () => { config.lineOpacity = parseFloat(lineOpacityInput.value); }, 'lineOpacity');
 });
 
+for (const input of [ringCountInput, spokeCountInput, gridNInput, cellSizeInput, rotationInput, lineColorInput, lineWidthInput, lineOpacityInput]) {
+  input.addEventListener('change', () => editHistory.commit());
+}
+
 btnCenter.addEventListener('click', () => {
-  config.centerGrid();
+  editGrid('Center grid', () => config.centerGrid());
+});
+
+function showAlignHint(text) {
+  alignHint.textContent = text;
+  alignHint.hidden = !text;
+}
+
+btnAutoAlign.addEventListener('click', () => {
+  let fit;
+  try {
+    fit = alignToFrame(renderer.propsAt(layers.selected), mediaLoader, mediaArea.clientWidth, mediaArea.clientHeight);
+  } catch (err) {
+    showAlignHint(`Couldn't read the frame: ${err.message}`);
+    return;
+  }
+  if (!fit) {
+    showAlignHint('No clear grid lines found in this frame.');
+    return;
+  }
+  editGrid('Auto-align', () => config.update(unshifted(fit)));
+  showAlignHint(`Aligned at ${fit.rotation.toFixed(1)}\u00b0 with ${Math.round(fit.cellSize)} px cells.`);
 });
 
+btnAlignPoints.addEventListener('click', async () => {
+  if (pointPicker.active) {
+    pointPicker.cancel();
+    return;
+  }
+  const cells = Math.max(1, parseInt(alignCellsInput.value, 10) || 1);
+  btnAlignPoints.textContent = 'Cancel';
+  showAlignHint(`Click two points on one grid line, ${cells} cell${cells === 1 ? '' : 's'} apart.`);
+  const points = await pointPicker.pick(2);
+  btnAlignPoints.textContent = 'Align to 2 Points';
+  showAlignHint('');
+  if (!points) return;
+  const fit = alignToPoints(renderer.propsAt(layers.selected), mediaArea.clientWidth, mediaArea.clientHeight, points[0], points[1], cells);
+  if (fit) editGrid('Align to points', () => config.update(unshifted(fit)));
+});
+
+/** A fit found on the grid as drawn, less the photo's offset, for the config. */
+function unshifted(fit) {
+  const { x, y } = renderer.offset;
+  return { ...fit, positionX: fit.positionX - x, positionY: fit.positionY - y };
+}
+
+/* ── Snapshot dialog ── */
+
+const snapshotDialog   = $('#snapshotDialog');
+const snapFormat       = $('#snapFormat');
+const snapQualityRow   = $('#snapQualityRow');
+const snapQuality      = $('#snapQuality');
+const snapQualityValue = $('#snapQualityValue');
+const snapResolution   = $('#snapResolution');
+const snapArea         = $('#snapArea');
+const snapCaption      = $('#snapCaption');
+const snapSizeHint     = $('#snapSizeHint');
+
+function readSnapshotDialog() {
+  return {
+    format: snapFormat.value,
+    quality: parseFloat(snapQuality.value),
+    resolution: snapResolution.value,
+    area: snapArea.value,
+    caption: snapCaption.checked,
+  };
+}
+
+function syncSnapshotDialog() {
+  const opts = readSnapshotDialog();
+  const vector = opts.format === 'svg' || opts.format === 'pdf';
+  snapQualityRow.hidden = opts.format !== 'jpeg' && opts.format !== 'webp';
+  snapQualityValue.textContent = `${Math.round(opts.quality * 100)}%`;
+  snapResolution.disabled = vector;
+  const size = snapshotSize({ mediaLoader, mediaArea }, opts);
+  snapSizeHint.textContent = !size ? ''
+    : vector ? `${size.width} \u00d7 ${size.height} px page; overlays stay sharp at any zoom.`
+    : `${size.width} \u00d7 ${size.height} px`;
+}
+
+for (const input of [snapFormat, snapQuality, snapResolution, snapArea, snapCaption]) {
+  input.addEventListener('input', syncSnapshotDialog);
+}
+
 btnSnapshot.addEventListener('click', () => {
-  captureSnapshot({ mediaLoader, gridRenderer: renderer, mediaArea });
+  const opts = loadSnapshotOptions();
+  snapFormat.value = opts.format;
+  snapQuality.value = opts.quality;
+  snapResolution.value = opts.resolution;
+  snapArea.value = opts.area;
+  snapCaption.checked = opts.caption;
+  syncSnapshotDialog();
+  snapshotDialog.returnValue = '';
+  snapshotDialog.showModal();
+});
+
+snapshotDialog.addEventListener('close', () => {
+  if (snapshotDialog.returnValue !== 'capture') return;
+  const options = readSnapshotDialog();
+  saveSnapshotOptions(options);
+  captureSnapshot({ mediaLoader, gridRenderer: renderer, formationEditor, annotationRenderer, mediaArea, options });
 });
 
 /* ── Config → Sidebar (sync display values) ── */
 
 function syncUI() {
+  const locked = layers.selected.locked;
+  document.querySelectorAll('.layer-controls').forEach((el) => el.classList.toggle('locked', locked));
+
+  gridTypeSelect.value = config.gridType;
+  document.querySelectorAll('[data-grid-types]').forEach((el) => {
+    el.hidden = !el.dataset.gridTypes.split(' ').includes(config.gridType);
+  });
+  ringCountInput.value = config.ringCount;
+  spokeCountInput.value = config.spokeCount;
+  cellSizeTitle.textContent = config.gridType === 'radial' ? 'Ring Spacing' : 'Cell Size';
+
   gridNInput.value = config.gridN;
   gridNHint.textContent = `Effective: ${config.effectiveN}\u00d7${config.effectiveN}`;
 
@@ -119,7 +339,7 @@ function syncUI() {
   positionHint.textContent = `x: ${Math.round(config.positionX)}, y: ${Math.round(config.positionY)}`;
 }
 
-config.onChange(syncUI);
+layers.onChange(syncUI);
 syncUI();
 
 /* ── MediaLoader state → sidebar buttons ── */
@@ -129,29 +349,1010 @@ mediaLoader.onChange((ml) => {
   btnPlayPause.disabled = ml.mediaType !== 'video';
   btnPlayPause.textContent = ml.isPlaying ? 'Pause' : 'Play';
   btnSnapshot.disabled = !ml.hasMedia;
+  btnAutoAlign.disabled = !ml.hasMedia;
+  btnAlignPoints.disabled = !ml.hasMedia;
+});
+
+/* ── Transport ── */
+
+btnTransportPlay.addEventListener('click', () => mediaLoader.togglePlayPause());
+btnFrameBack.addEventListener('click', () => mediaLoader.stepFrames(-1));
+btnFrameFwd.addEventListener('click', () => mediaLoader.stepFrames(1));
+
+playbackRateSel.addEventListener('change', () => {
+  mediaLoader.playbackRate = parseFloat(playbackRateSel.value);
+});
+
+btnLoopIn.addEventListener('click', () => mediaLoader.setLoopIn());
+btnLoopOut.addEventListener('click', () => mediaLoader.setLoopOut());
+btnLoopClear.addEventListener('click', () => mediaLoader.clearLoop());
+
+mediaLoader.onChange((ml) => {
+  const speed = ml.shuttleSpeed;
+  btnTransportPlay.textContent = speed < 0 ? `\u25C2 ${-speed}\u00d7` : ml.isPlaying ? 'Pause' : 'Play';
+
+  // Rates set by J/L shuttle may not be in the list; show the nearest
+  const rate = ml.playbackRate;
+  let nearest = playbackRateSel.options[0];
+  for (const opt of playbackRateSel.options) {
+    if (Math.abs(opt.value - rate) < Math.abs(nearest.value - rate)) nearest = opt;
+  }
+  playbackRateSel.value = nearest.value;
+
+  btnLoopIn.classList.toggle('active', ml.loopIn !== null);
+  btnLoopOut.classList.toggle('active', ml.loopOut !== null);
+  btnLoopClear.disabled = ml.loopIn === null && ml.loopOut === null;
+});
+
+/* ── Live input ── */
+
+const cameraSelect   = $('#cameraSelect');
+const btnCamera      = $('#btnCamera');
+const btnScreen      = $('#btnScreen');
+const btnStopLive    = $('#btnStopLive');
+const replayEnabled  = $('#replayEnabled');
+const replayLength   = $('#replayLength');
+const btnReplay      = $('#btnReplay');
+const btnBackToLive  = $('#btnBackToLive');
+const liveHint       = $('#liveHint');
+
+const replay = new ReplayBuffer(parseInt(replayLength.value, 10));
+
+/** Fill the camera list, keeping the current choice. Labels appear once access is granted. */
+async function refreshCameras() {
+  const chosen = cameraSelect.value;
+  const cameras = await listCameras();
+  cameraSelect.replaceChildren(new Option('Default camera', ''));
+  cameras.forEach((cam, i) => cameraSelect.add(new Option(cam.label || `Camera ${i + 1}`, cam.deviceId)));
+  if ([...cameraSelect.options].some((o) => o.value === chosen)) cameraSelect.value = chosen;
+}
+
+btnCamera.addEventListener('click', async () => {
+  try {
+    await mediaLoader.openCamera(cameraSelect.value || undefined);
+    liveHint.textContent = '';
+    refreshCameras();
+  } catch (err) {
+    liveHint.textContent = `Couldn't open the camera: ${err.message}`;
+  }
+});
+
+btnScreen.addEventListener('click', async () => {
+  try {
+    await mediaLoader.openScreen();
+    liveHint.textContent = '';
+  } catch (err) {
+    // Closing the browser's picker rejects too
+    if (err.name !== 'NotAllowedError') liveHint.textContent = `Couldn't capture the screen: ${err.message}`;
+  }
+});
+
+btnStopLive.addEventListener('click', () => mediaLoader.stopLive());
+
+replayEnabled.addEventListener('change', syncLiveUI);
+replayLength.addEventListener('change', () => {
+  const seconds = parseInt(replayLength.value, 10);
+  if (REPLAY_LENGTHS.includes(seconds)) replay.seconds = seconds;
+});
+
+btnReplay.addEventListener('click', async () => {
+  const clip = await replay.capture();
+  if (!clip) return;
+  const stamp = new Date().toTimeString().slice(0, 8).replaceAll(':', '-');
+  mediaLoader.playRecording(clip.blob, `Replay ${stamp}.webm`, Math.max(0, clip.length - replay.seconds));
+});
+
+btnBackToLive.addEventListener('click', () => mediaLoader.resumeLive());
+
+function syncLiveUI() {
+  // Buffer whichever stream is open, while the buffer is switched on
+  const stream = replayEnabled.checked ? mediaLoader.stream : null;
+  if (!stream) replay.stop();
+  else if (replay.stream !== stream) replay.start(stream);
+
+  btnStopLive.disabled = !mediaLoader.stream;
+  btnReplay.disabled = !replay.running;
+  btnBackToLive.disabled = !mediaLoader.stream || mediaLoader.isLive;
+}
+
+mediaLoader.onChange(syncLiveUI);
+
+if (!navigator.mediaDevices?.getUserMedia) {
+  btnCamera.disabled = true;
+  cameraSelect.disabled = true;
+}
+btnScreen.hidden = !navigator.mediaDevices?.getDisplayMedia;
+if (!isReplaySupported()) {
+  replayEnabled.checked = false;
+  replayEnabled.disabled = true;
+  replayLength.disabled = true;
+}
+refreshCameras();
+
+/* ── Compare ── */
+
+const btnOpenCompare    = $('#btnOpenCompare');
+const btnCloseCompare   = $('#btnCloseCompare');
+const compareFileName   = $('#compareFileName');
+const compareModeSel    = $('#compareMode');
+const compareOpacityRow = $('#compareOpacityRow');
+const compareOpacity    = $('#compareOpacity');
+const compareOpacityValue = $('#compareOpacityValue');
+const compareOffsetInput  = $('#compareOffset');
+const btnCompareBack    = $('#btnCompareBack');
+const btnCompareFwd     = $('#btnCompareFwd');
+
+btnOpenCompare.addEventListener('click', () => mediaLoader.openComparePicker());
+btnCloseCompare.addEventListener('click', () => mediaLoader.clearCompare());
+compareModeSel.addEventListener('change', () => { mediaLoader.compareMode = compareModeSel.value; });
+compareOpacity.addEventListener('input', () => { mediaLoader.compareOpacity = parseFloat(compareOpacity.value); });
+compareOffsetInput.addEventListener('change', () => {
+  mediaLoader.compareOffset = parseFloat(compareOffsetInput.value) || 0;
+});
+btnCompareBack.addEventListener('click', () => mediaLoader.nudgeCompare(-1));
+btnCompareFwd.addEventListener('click', () => mediaLoader.nudgeCompare(1));
+
+mediaLoader.onChange((ml) => {
+  const on = ml.hasCompare;
+  const mode = ml.compareMode;
+  stage.classList.toggle('compare-side', on && mode === 'side');
+  stage.classList.toggle('compare-onion', on && mode === 'onion');
+  compareRenderer.invalidate();
+
+  compareFileName.textContent = ml.compareFileName || '';
+  btnCloseCompare.disabled = !on;
+  compareModeSel.disabled = !on;
+  compareModeSel.value = mode;
+  compareOpacityRow.hidden = !on || mode !== 'onion';
+  compareOpacity.value = ml.compareOpacity;
+  compareOpacityValue.textContent = `${Math.round(ml.compareOpacity * 100)}%`;
+
+  const video = on && ml.compareType === 'video';
+  btnCompareBack.disabled = !video;
+  btnCompareFwd.disabled = !video;
+  compareOffsetInput.disabled = !video;
+  if (document.activeElement !== compareOffsetInput) compareOffsetInput.value = ml.compareOffset.toFixed(2);
+});
+
+/* ── Keyframes ── */
+
+let keyframedFile = null;
+
+mediaLoader.onChange((ml) => {
+  timelineEl.hidden = ml.mediaType !== 'video' || ml.isLive;
+  // Keyframes and annotations belong to one clip; queued photos share them
+  if (ml.fileName !== keyframedFile) {
+    keyframedFile = ml.fileName;
+    if (ml.queueIndex >= 0) return;
+    for (const layer of layers.layers) layer.keyframes.clear();
+    annotations.clear();
+  }
+});
+
+btnAddKey.addEventListener('click', () => {
+  if (!layers.selected.locked) keyframes.set(mediaLoader.currentTime, config);
+});
+
+btnDeleteKey.addEventListener('click', () => {
+  if (!layers.selected.locked) keyframes.remove(mediaLoader.currentTime);
+});
+
+btnPrevKey.addEventListener('click', () => {
+  const kf = keyframes.previous(mediaLoader.currentTime);
+  if (kf) mediaLoader.seek(kf.time);
+});
+
+btnNextKey.addEventListener('click', () => {
+  const kf = keyframes.next(mediaLoader.currentTime);
+  if (kf) mediaLoader.seek(kf.time);
+});
+
+function syncKeyframeUI() {
+  const t = mediaLoader.currentTime;
+  const current = keyframes.at(t);
+  const locked = layers.selected.locked;
+  btnAddKey.disabled = locked;
+  btnDeleteKey.disabled = !current || locked;
+  btnPrevKey.disabled = !keyframes.previous(t);
+  btnNextKey.disabled = !keyframes.next(t);
+  btnAddKey.textContent = current ? 'Update Keyframe' : '+ Keyframe';
+
+  const n = keyframes.length;
+  const name = layers.selected.name;
+  keyframeHint.textContent = n === 0
+    ? `${name}: no keyframes \u00b7 ${formatTime(t)}`
+    : `${name}: ${n} keyframe${n === 1 ? '' : 's'} \u00b7 ${formatTime(t)}`;
+}
+
+layers.onChange(syncKeyframeUI);
+mediaLoader.onChange(syncKeyframeUI);
+videoEl.addEventListener('timeupdate', syncKeyframeUI);
+videoEl.addEventListener('seeked', syncKeyframeUI);
+syncKeyframeUI();
+
+/* ── Video export ── */
+
+const btnSetIn          = $('#btnSetIn');
+const btnSetOut         = $('#btnSetOut');
+const btnClearRange     = $('#btnClearRange');
+const exportRangeHint   = $('#exportRangeHint');
+const btnExportVideo    = $('#btnExportVideo');
+const exportProgressRow = $('#exportProgressRow');
+const exportProgress    = $('#exportProgress');
+const btnCancelExport   = $('#btnCancelExport');
+const exportStatus      = $('#exportStatus');
+
+let exportIn = null;
+let exportOut = null;
+/** @type {AbortController|null} */
+let exportAbort = null;
+
+function syncExportUI() {
+  const isVideo = mediaLoader.mediaType === 'video' && !mediaLoader.isLive;
+  const busy = exportAbort !== null;
+  btnSetIn.disabled = !isVideo || busy;
+  btnSetOut.disabled = !isVideo || busy;
+  btnClearRange.disabled = busy || (exportIn === null && exportOut === null);
+  btnExportVideo.disabled = !isVideo || busy || !isVideoExportSupported();
+  exportProgressRow.hidden = !busy;
+
+  exportRangeHint.textContent = exportIn === null && exportOut === null
+    ? 'Range: full clip'
+    : `Range: ${formatTime(exportIn ?? 0)} \u2013 ${exportOut === null ? 'end' : formatTime(exportOut)}`;
+}
+
+btnSetIn.addEventListener('click', () => {
+  exportIn = mediaLoader.currentTime;
+  if (exportOut !== null && exportOut <= exportIn) exportOut = null;
+  syncExportUI();
+});
+
+btnSetOut.addEventListener('click', () => {
+  exportOut = mediaLoader.currentTime;
+  if (exportIn !== null && exportIn >= exportOut) exportIn = null;
+  syncExportUI();
+});
+
+btnClearRange.addEventListener('click', () => {
+  exportIn = null;
+  exportOut = null;
+  syncExportUI();
+});
+
+btnExportVideo.addEventListener('click', async () => {
+  exportAbort = new AbortController();
+  exportProgress.value = 0;
+  exportStatus.textContent = 'Recording\u2026 (plays in real time)';
+  syncExportUI();
+
+  try {
+    const saved = await exportVideo({
+      mediaLoader,
+      gridRenderer: renderer,
+      formationEditor,
+      annotationRenderer,
+      mediaArea,
+      inPoint: exportIn,
+      outPoint: exportOut,
+      onProgress: (f) => { exportProgress.value = f; },
+      signal: exportAbort.signal,
+    });
+    exportStatus.textContent = saved ? 'Export complete.' : 'Export cancelled.';
+  } catch (err) {
+    exportStatus.textContent = err.message;
+  } finally {
+    exportAbort = null;
+    syncExportUI();
+  }
+});
+
+btnCancelExport.addEventListener('click', () => exportAbort?.abort());
+
+mediaLoader.onChange(() => {
+  // A range only makes sense for the clip it was set on
+  if (mediaLoader.mediaType !== 'video') {
+    exportIn = null;
+    exportOut = null;
+  }
+  syncExportUI();
+});
+if (!isVideoExportSupported()) exportStatus.textContent = 'WebM recording is not supported in this browser.';
+syncExportUI();
+
+/* ── Photo queue ── */
+
+const queueStrip       = $('#queueStrip');
+const batchHint        = $('#batchHint');
+const batchOffsetX     = $('#batchOffsetX');
+const batchOffsetY     = $('#batchOffsetY');
+const btnResetOffset   = $('#btnResetOffset');
+const btnExportBatch   = $('#btnExportBatch');
+const btnClearQueue    = $('#btnClearQueue');
+const batchProgressRow = $('#batchProgressRow');
+const batchProgress    = $('#batchProgress');
+const btnCancelBatch   = $('#btnCancelBatch');
+const batchStatus      = $('#batchStatus');
+
+/** Per-photo grid offsets in CSS px, on top of the placement every photo shares. */
+const batchOffsets = new Map();
+const offsetOf = (file) => batchOffsets.get(file) ?? { x: 0, y: 0 };
+/** Queue last rendered in the strip, so only a changed queue rebuilds it. */
+let stripFiles = [];
+/** @type {AbortController|null} */
+let batchAbort = null;
+
+/**
+ * Draw the grids at the shown photo's offset. Only the drawing moves, so
+ * undo/redo and saved sessions keep the placement every photo shares.
+ */
+function showBatchOffset() {
+  const { x, y } = offsetOf(mediaLoader.queue[mediaLoader.queueIndex]);
+  renderer.setOffset(x, y);
+  formationEditor.invalidate();
+  annotationRenderer.invalidate();
+}
+
+function setBatchOffset(x, y) {
+  const file = mediaLoader.queue[mediaLoader.queueIndex];
+  if (!file) return;
+  if (x === 0 && y === 0) batchOffsets.delete(file);
+  else batchOffsets.set(file, { x, y });
+  showBatchOffset();
+  syncBatchUI();
+}
+
+function buildQueueStrip() {
+  const files = mediaLoader.queue;
+  if (files.length !== stripFiles.length || files.some((f, i) => f !== stripFiles[i])) {
+    for (const file of stripFiles) if (!files.includes(file)) releaseThumbnail(file);
+    stripFiles = files;
+    queueStrip.innerHTML = '';
+    files.forEach((file, i) => {
+      const item = document.createElement('div');
+      item.className = 'queue-item';
+
+      const thumb = document.createElement('button');
+      thumb.className = 'queue-thumb';
+      thumb.title = file.name;
+      const img = document.createElement('img');
+      img.alt = file.name;
+      thumbnailURL(file).then((url) => { img.src = url; });
+      thumb.appendChild(img);
+      thumb.addEventListener('click', () => mediaLoader.showQueued(i));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'queue-remove';
+      removeBtn.textContent = '\u00d7';
+      removeBtn.title = 'Remove from queue';
+      removeBtn.addEventListener('click', () => {
+        mediaLoader.removeQueued(i);
+        batchOffsets.delete(file);
+      });
+
+      item.append(thumb, removeBtn);
+      queueStrip.appendChild(item);
+    });
+  }
+  queueStrip.hidden = files.length === 0;
+  [...queueStrip.children].forEach((item, i) => item.classList.toggle('active', i === mediaLoader.queueIndex));
+  queueStrip.children[mediaLoader.queueIndex]?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+function syncBatchUI() {
+  const n = mediaLoader.queue.length;
+  const i = mediaLoader.queueIndex;
+  const busy = batchAbort !== null;
+  const offset = offsetOf(mediaLoader.queue[i]);
+  batchHint.textContent = n === 0
+    ? 'Open or drop several photos to queue them.'
+    : `${i >= 0 ? `Photo ${i + 1} of ${n}` : `${n} photos queued`} \u00b7 the grid applies to all; offsets move it for one photo.`;
+  batchOffsetX.disabled = i < 0 || busy;
+  batchOffsetY.disabled = i < 0 || busy;
+  if (document.activeElement !== batchOffsetX) batchOffsetX.value = Math.round(offset.x);
+  if (document.activeElement !== batchOffsetY) batchOffsetY.value = Math.round(offset.y);
+  btnResetOffset.disabled = i < 0 || busy || (offset.x === 0 && offset.y === 0);
+  btnExportBatch.disabled = n === 0 || busy;
+  btnClearQueue.disabled = n === 0 || busy;
+  batchProgressRow.hidden = !busy;
+}
+
+for (const input of [batchOffsetX, batchOffsetY]) {
+  input.addEventListener('change', () => {
+    setBatchOffset(parseFloat(batchOffsetX.value) || 0, parseFloat(batchOffsetY.value) || 0);
+  });
+}
+
+btnResetOffset.addEventListener('click', () => setBatchOffset(0, 0));
+
+btnClearQueue.addEventListener('click', () => {
+  mediaLoader.clearQueue();
+  batchOffsets.clear();
+});
+
+btnExportBatch.addEventListener('click', async () => {
+  batchAbort = new AbortController();
+  batchProgress.value = 0;
+  batchStatus.textContent = 'Exporting\u2026';
+  syncBatchUI();
+
+  const total = mediaLoader.queue.length;
+  try {
+    const saved = await exportBatch({
+      mediaLoader,
+      gridRenderer: renderer,
+      formationEditor,
+      annotationRenderer,
+      mediaArea,
+      offsetOf,
+      onProgress: (f) => { batchProgress.value = f; },
+      signal: batchAbort.signal,
+    });
+    batchStatus.textContent = batchAbort.signal.aborted ? 'Export cancelled.'
+      : saved === total ? `Exported ${saved} photos.`
+      : `Exported ${saved} of ${total} photos; the rest couldn't be read.`;
+  } catch (err) {
+    batchStatus.textContent = err.message;
+  } finally {
+    batchAbort = null;
+    syncBatchUI();
+  }
+});
+
+btnCancelBatch.addEventListener('click', () => batchAbort?.abort());
+
+mediaLoader.onChange(() => {
+  showBatchOffset();
+  buildQueueStrip();
+  syncBatchUI();
+});
+syncBatchUI();
+
+/* ── Point tracking ── */
+
+const btnPickTrack     = $('#btnPickTrack');
+const trackRotate      = $('#trackRotate');
+const trackStep        = $('#trackStep');
+const btnTrack         = $('#btnTrack');
+const trackProgressRow = $('#trackProgressRow');
+const trackProgress    = $('#trackProgress');
+const btnCancelTrack   = $('#btnCancelTrack');
+const trackHint        = $('#trackHint');
+
+/** Picked points in media px, the time and the clip they were picked on. */
+let trackStart = 0;
+let trackFile = null;
+let trackPicks = [];
+/** @type {AbortController|null} */
+let trackAbort = null;
+
+function syncTrackUI() {
+  const isVideo = mediaLoader.mediaType === 'video' && !mediaLoader.isLive;
+  const busy = trackAbort !== null;
+  btnPickTrack.disabled = !isVideo || busy;
+  btnPickTrack.textContent = trackRotate.checked ? 'Pick 2 Points' : 'Pick Point';
+  trackRotate.disabled = busy;
+  trackStep.disabled = busy;
+  btnTrack.disabled = !isVideo || busy || trackPicks.length === 0;
+  trackProgressRow.hidden = !busy;
+}
+
+function clearTrackPicks() {
+  trackPicks = [];
+  trackHint.textContent = 'Tracks from the playhead to the loop out point, or the end of the clip.';
+  syncTrackUI();
+}
+
+btnPickTrack.addEventListener('click', async () => {
+  if (pointPicker.active) {
+    pointPicker.cancel();
+    return;
+  }
+  mediaLoader.pause();
+  const count = trackRotate.checked ? 2 : 1;
+  btnPickTrack.textContent = 'Cancel';
+  trackHint.textContent = count === 2
+    ? 'Click two well-separated, high-contrast points on the subject.'
+    : 'Click a high-contrast point on the subject.';
+  const points = await pointPicker.pick(count);
+  const rect = mediaRect(mediaLoader, mediaArea.clientWidth, mediaArea.clientHeight);
+  if (!points || !rect) {
+    clearTrackPicks();
+    return;
+  }
+  trackStart = mediaLoader.currentTime;
+  trackFile = mediaLoader.fileName;
+  trackPicks = points.map((p) => toMedia(rect, p.x, p.y));
+  trackHint.textContent = `${count === 2 ? 'Points' : 'Point'} picked at ${formatTime(trackStart)}.`;
+  syncTrackUI();
+});
+
+trackRotate.addEventListener('change', clearTrackPicks);
+
+btnTrack.addEventListener('click', async () => {
+  if (layers.selected.locked) {
+    trackHint.textContent = `${layers.selected.name} is locked.`;
+    return;
+  }
+  const { loopOut, duration } = mediaLoader;
+  const end = loopOut !== null && loopOut > trackStart ? loopOut : duration;
+  const layer = layers.selected;
+  const base = renderer.propsAt(layer, trackStart);
+
+  trackAbort = new AbortController();
+  trackProgress.value = 0;
+  trackHint.textContent = 'Tracking…';
+  syncTrackUI();
+
+  try {
+    const { samples, lostAt } = await trackPoints({
+      mediaLoader,
+      points: trackPicks,
+      start: trackStart,
+      end,
+      step: parseInt(trackStep.value, 10),
+      onProgress: (f) => { trackProgress.value = f; },
+      signal: trackAbort.signal,
+    });
+    const rect = mediaRect(mediaLoader, mediaArea.clientWidth, mediaArea.clientHeight);
+    if (samples.length < 2 || !rect) {
+      trackHint.textContent = 'Lost the point straight away. Pick a sharper, higher-contrast spot.';
+      return;
+    }
+    const baked = trackKeyframes(samples, base, rect, mediaArea.clientWidth, mediaArea.clientHeight);
+    const last = samples[samples.length - 1].time;
+    layer.keyframes.replaceRange(trackStart, last, baked);
+    trackHint.textContent = lostAt !== null
+      ? `Baked ${baked.length} keyframes; lost the point at ${formatTime(lostAt)}.`
+      : trackAbort.signal.aborted
+        ? `Stopped at ${formatTime(last)}; baked ${baked.length} keyframes.`
+        : `Baked ${baked.length} keyframes to ${formatTime(last)}.`;
+  } catch (err) {
+    trackHint.textContent = err.message;
+  } finally {
+    trackAbort = null;
+    syncTrackUI();
+  }
+});
+
+btnCancelTrack.addEventListener('click', () => trackAbort?.abort());
+
+mediaLoader.onChange((ml) => {
+  // Picks belong to the clip they were made on
+  if (ml.fileName !== trackFile || ml.mediaType !== 'video') trackPicks = [];
+  syncTrackUI();
+});
+syncTrackUI();
+
+/* ── Undo / redo ── */
+
+btnUndo.addEventListener('click', () => editHistory.undo());
+btnRedo.addEventListener('click', () => editHistory.redo());
+
+function syncHistoryUI() {
+  btnUndo.disabled = !editHistory.canUndo;
+  btnRedo.disabled = !editHistory.canRedo;
+  btnUndo.title = editHistory.canUndo ? `Undo ${editHistory.undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+  btnRedo.title = editHistory.canRedo ? `Redo ${editHistory.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+editHistory.onChange(syncHistoryUI);
+syncHistoryUI();
+
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || (e.code !== 'KeyZ' && e.code !== 'KeyY')) return;
+  // Text fields keep their native undo
+  const t = e.target;
+  if (t.tagName === 'TEXTAREA' || (t.tagName === 'INPUT' && (t.type === 'text' || t.type === 'number'))) return;
+
+  e.preventDefault();
+  if (e.code === 'KeyY' || e.shiftKey) editHistory.redo();
+  else editHistory.undo();
 });
 
 /* ── Keyboard shortcuts ── */
 
+const gridAnnouncer   = $('#gridAnnouncer');
+const shortcutsDialog = $('#shortcutsDialog');
+
+renderShortcuts($('#shortcutList'));
+$('#btnShortcuts').addEventListener('click', () => shortcutsDialog.showModal());
+
+/** Tell screen readers what a keyboard edit did. */
+function announce(text) {
+  gridAnnouncer.textContent = text;
+}
+
+function describeGrid() {
+  return `Grid at x ${Math.round(config.positionX)}, y ${Math.round(config.positionY)}; `
+    + `rotation ${Math.round(config.rotation)} degrees; cell size ${Math.round(config.cellSize)} pixels.`;
+}
+
+/**
+ * Keyboard grid edit. With a `key`, repeats of that key merge into a
+ * single undo step, committed when the key is released.
+ */
+function keyEdit(label, key, fn, describe) {
+  if (layers.selected.locked) {
+    announce(`${layers.selected.name} is locked.`);
+    return;
+  }
+  editGrid(label, fn, key && `key:${key}`);
+  announce(describe());
+}
+
+function nudgeGrid(e, dx, dy) {
+  const step = NUDGE_STEP[e.shiftKey ? 1 : 0];
+  keyEdit('Move grid', e.code, () => {
+    config.positionX += dx * step;
+    config.positionY += dy * step;
+  }, () => `x ${Math.round(config.positionX)}, y ${Math.round(config.positionY)}`);
+}
+
+function rotateGrid(e, dir) {
+  const step = ROTATE_STEP[e.shiftKey ? 1 : 0];
+  keyEdit('Rotation', e.code, () => {
+    // Wrap round rather than stopping at ±180°
+    config.rotation = ((config.rotation + dir * step + 540) % 360) - 180;
+  }, () => `Rotation ${Math.round(config.rotation)} degrees`);
+}
+
+function resizeCells(e, dir) {
+  const step = CELL_STEP[e.shiftKey ? 1 : 0];
+  keyEdit('Cell size', e.code, () => { config.cellSize += dir * step; },
+    () => `Cell size ${Math.round(config.cellSize)} pixels`);
+}
+
+gridCanvas.addEventListener('focus', () => announce(describeGrid()));
+
+document.addEventListener('keyup', (e) => {
+  if (e.code.startsWith('Arrow') || ['BracketLeft', 'BracketRight', 'Equal', 'Minus', 'NumpadAdd', 'NumpadSubtract'].includes(e.code)) {
+    editHistory.commit();
+  }
+});
+
 document.addEventListener('keydown', (e) => {
   // Guard: don't fire when typing in inputs
   const tag = e.target.tagName;
   if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
 
-  if (e.code === 'Space') {
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  // Dialogs handle their own keys
+  if (document.querySelector('dialog[open]')) return;
+
+  // Arrow keys move the grid while it has focus, and step frames otherwise
+  if (e.target === gridCanvas && e.code.startsWith('Arrow')) {
     e.preventDefault();
-    mediaLoader.togglePlayPause();
+    const [dx, dy] = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.code];
+    nudgeGrid(e, dx, dy);
+    return;
+  }
+
+  if (e.key === '?') {
+    shortcutsDialog.showModal();
+    return;
+  }
+
+  const preset = /^Digit([1-9])$/.exec(e.code);
+  if (preset && ROTATION_PRESETS[preset[1] - 1] !== undefined) {
+    const deg = ROTATION_PRESETS[preset[1] - 1];
+    keyEdit('Rotation', null, () => { config.rotation = deg; }, () => `Rotation ${deg} degrees`);
+    return;
+  }
+
+  switch (e.code) {
+    case 'Space':
+      e.preventDefault();
+      mediaLoader.togglePlayPause();
+      break;
+    case 'ArrowLeft':
+      e.preventDefault();
+      mediaLoader.stepFrames(e.shiftKey ? -10 : -1);
+      break;
+    case 'ArrowRight':
+      e.preventDefault();
+      mediaLoader.stepFrames(e.shiftKey ? 10 : 1);
+      break;
+    case 'BracketLeft':
+      rotateGrid(e, -1);
+      break;
+    case 'BracketRight':
+      rotateGrid(e, 1);
+      break;
+    case 'Equal':
+    case 'NumpadAdd':
+      resizeCells(e, 1);
+      break;
+    case 'Minus':
+    case 'NumpadSubtract':
+      resizeCells(e, -1);
+      break;
+    case 'KeyJ':
+      mediaLoader.shuttle(-1);
+      break;
+    case 'KeyK':
+      mediaLoader.shuttle(0);
+      break;
+    case 'KeyL':
+      mediaLoader.shuttle(1);
+      break;
+    case 'KeyA':
+      mediaLoader.setLoopIn();
+      break;
+    case 'KeyB':
+      mediaLoader.setLoopOut();
+      break;
+    case 'Delete':
+    case 'Backspace':
+      e.preventDefault();
+      if (formationEditor.editing) deleteSelectedSlot();
+      else annotationTools.deleteSelected();
+      break;
+    case 'Escape':
+      pointPicker.cancel();
+      annotations.select(null);
+      formation.select(null);
+      break;
+  }
+});
+
+/* ── Annotations ── */
+
+const annotationToolBtns   = document.querySelectorAll('#annotationTools [data-tool]');
+const annotationColor      = $('#annotationColor');
+const annotationWidth      = $('#annotationWidth');
+const annotationWidthValue = $('#annotationWidthValue');
+const annotationTextRow    = $('#annotationTextRow');
+const annotationText       = $('#annotationText');
+const annotationHoldRow    = $('#annotationHoldRow');
+const annotationHold       = $('#annotationHold');
+const annotationHint       = $('#annotationHint');
+const annotationSpanRow    = $('#annotationSpanRow');
+const btnAnnotationStart   = $('#btnAnnotationStart');
+const btnAnnotationEnd     = $('#btnAnnotationEnd');
+const btnAnnotationAlways  = $('#btnAnnotationAlways');
+const btnDeleteAnnotation  = $('#btnDeleteAnnotation');
+const btnClearAnnotations  = $('#btnClearAnnotations');
+
+annotationToolBtns.forEach((btn) => {
+  btn.addEventListener('click', () => { annotationTools.tool = btn.dataset.tool; });
+});
+
+annotationColor.addEventListener('input', () => {
+  annotationTools.color = annotationColor.value;
+  // Recolor the selection too
+  const sel = annotations.selected;
+  if (sel) {
+    editHistory.record(annotations, () => annotations.modify(sel.id, { color: annotationColor.value }),
+      { label: 'Annotation color', mergeKey: 'annotationColor' });
+  }
+});
+annotationColor.addEventListener('change', () => editHistory.commit());
+
+annotationWidth.addEventListener('input', () => {
+  annotationTools.lineWidth = parseFloat(annotationWidth.value);
+});
+
+annotationText.addEventListener('input', () => {
+  annotationTools.text = annotationText.value;
+});
+
+annotationHold.addEventListener('change', () => {
+  const v = annotationHold.value;
+  annotationTools.hold = v === '' ? null : v === 'end' ? Infinity : parseFloat(v);
+});
+
+/** Set the selected annotation's time span as one undo step. */
+function editAnnotationSpan(label, span) {
+  const sel = annotations.selected;
+  if (!sel) return;
+  editHistory.record(annotations, () => annotations.modify(sel.id, span), { label });
+}
+
+btnAnnotationStart.addEventListener('click', () => {
+  editAnnotationSpan('Annotation start', { start: mediaLoader.currentTime });
+});
+
+btnAnnotationEnd.addEventListener('click', () => {
+  editAnnotationSpan('Annotation end', { end: mediaLoader.currentTime });
+});
+
+btnAnnotationAlways.addEventListener('click', () => {
+  editAnnotationSpan('Annotation always', { start: null, end: null });
+});
+
+btnDeleteAnnotation.addEventListener('click', () => annotationTools.deleteSelected());
+
+btnClearAnnotations.addEventListener('click', () => {
+  editHistory.record(annotations, () => annotations.clear(), { label: 'Clear annotations' });
+});
+
+function syncAnnotationUI() {
+  const tool = annotationTools.tool;
+  annotationToolBtns.forEach((btn) => btn.classList.toggle('active', btn.dataset.tool === tool));
+  annotationWidthValue.textContent = annotationTools.lineWidth;
+  annotationTextRow.hidden = tool !== 'text';
+
+  const isVideo = mediaLoader.mediaType === 'video';
+  annotationHoldRow.hidden = !isVideo;
+
+  const sel = annotations.selected;
+  const n = annotations.length;
+  btnDeleteAnnotation.disabled = !sel;
+  btnClearAnnotations.disabled = n === 0;
+  annotationSpanRow.hidden = !sel || !isVideo;
+
+  if (sel) {
+    const span = sel.start === null && sel.end === null
+      ? 'always shown'
+      : `${sel.start === null ? 'start' : formatTime(sel.start)} \u2013 ${sel.end === null ? 'end' : formatTime(sel.end)}`;
+    annotationHint.textContent = `Selected ${sel.type}${isVideo ? ` \u00b7 ${span}` : ''}`;
+  } else {
+    annotationHint.textContent = n === 0 ? 'No annotations' : `${n} annotation${n === 1 ? '' : 's'}`;
   }
+}
+
+annotationTools.onChange(syncAnnotationUI);
+annotations.onChange(syncAnnotationUI);
+mediaLoader.onChange(syncAnnotationUI);
+syncAnnotationUI();
+
+/* ── Measure ── */
+
+const measureToolBtns     = document.querySelectorAll('#measureTools [data-tool]');
+const cellDistanceInput   = $('#cellDistance');
+const distanceUnitSelect  = $('#distanceUnit');
+const rulerCalibrationRow = $('#rulerCalibrationRow');
+const rulerLengthInput    = $('#rulerLength');
+const btnCalibrateRuler   = $('#btnCalibrateRuler');
+const calibrationHint     = $('#calibrationHint');
+const measureList         = $('#measureList');
+
+measureToolBtns.forEach((btn) => {
+  btn.addEventListener('click', () => { annotationTools.tool = btn.dataset.tool; });
+});
+
+cellDistanceInput.addEventListener('input', () => {
+  const v = parseFloat(cellDistanceInput.value);
+  editGrid('Calibration', () => { config.cellDistance = v > 0 ? v : 0; }, 'cellDistance');
 });
+cellDistanceInput.addEventListener('change', () => editHistory.commit());
+
+distanceUnitSelect.addEventListener('change', () => {
+  editGrid('Calibration unit', () => { config.distanceUnit = distanceUnitSelect.value; });
+});
+
+/** Scale measurements are read with right now, or null without media. */
+function currentMeasureScale() {
+  const rect = mediaRect(mediaLoader, annotationCanvas.clientWidth, annotationCanvas.clientHeight);
+  if (!rect) return null;
+  const t = mediaLoader.mediaType === 'video' ? mediaLoader.currentTime : null;
+  return measureScale(renderer.propsAt(layers.selected, t), rect);
+}
+
+// Calibrate from a ruler laid along something of known length
+btnCalibrateRuler.addEventListener('click', () => {
+  const sel = annotations.selected;
+  const scale = currentMeasureScale();
+  const known = parseFloat(rulerLengthInput.value);
+  if (sel?.type !== 'ruler' || !scale || !(known > 0)) return;
+  const [p0, p1] = sel.points;
+  // Reading in cells at this frame, whatever the current calibration
+  const cells = (Math.hypot(p1.x - p0.x, p1.y - p0.y) * scale.perPx) / (config.cellDistance || 1);
+  if (cells > 0) editGrid('Calibrate to ruler', () => { config.cellDistance = known / cells; });
+});
+
+/** Key of the last readout list, so it's rebuilt only when a reading changes. */
+let measureListKey = '';
+
+function syncMeasureUI() {
+  const tool = annotationTools.tool;
+  measureToolBtns.forEach((btn) => btn.classList.toggle('active', btn.dataset.tool === tool));
+
+  if (document.activeElement !== cellDistanceInput) {
+    cellDistanceInput.value = config.cellDistance > 0 ? Number(config.cellDistance.toPrecision(6)) : '';
+  }
+  distanceUnitSelect.value = config.distanceUnit;
+  const locked = layers.selected.locked;
+  cellDistanceInput.disabled = locked;
+  distanceUnitSelect.disabled = locked;
+  btnCalibrateRuler.disabled = locked;
+
+  const name = layers.selected.name;
+  calibrationHint.textContent = config.cellDistance > 0
+    ? `${name}: one cell = ${Number(config.cellDistance.toPrecision(4))} ${config.distanceUnit}`
+    : `${name}: not calibrated \u2014 readings are in grid cells.`;
+  if (config.gridType === 'perspective') calibrationHint.textContent += ' Perspective cells vary in size, so readings are approximate.';
+
+  const sel = annotations.selected;
+  rulerCalibrationRow.hidden = sel?.type !== 'ruler';
+
+  // Readouts for the measurements showing at this frame
+  const scale = currentMeasureScale();
+  const t = mediaLoader.mediaType === 'video' ? mediaLoader.currentTime : null;
+  const readings = scale
+    ? annotations.visibleAt(t)
+      .filter((a) => MEASURE_TYPES.includes(a.type))
+      .map((a) => ({ id: a.id, type: a.type, ...readMeasurement(a, scale) }))
+    : [];
+  const key = JSON.stringify([readings, sel?.id]);
+  if (key === measureListKey) return;
+  measureListKey = key;
+
+  measureList.innerHTML = '';
+  const counts = {};
+  for (const r of readings) {
+    counts[r.type] = (counts[r.type] ?? 0) + 1;
+    const li = document.createElement('li');
+    li.classList.toggle('active', r.id === sel?.id);
+    li.textContent = `${r.type[0].toUpperCase()}${r.type.slice(1)} ${counts[r.type]}: ${r.label}`;
+    if (r.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'measure-detail';
+      detail.textContent = r.detail;
+      li.appendChild(detail);
+    }
+    li.addEventListener('click', () => {
+      if (annotationTools.tool !== 'select') annotationTools.tool = 'select';
+      annotations.select(r.id);
+    });
+    measureList.appendChild(li);
+  }
+}
+
+annotationTools.onChange(syncMeasureUI);
+annotations.onChange(syncMeasureUI);
+mediaLoader.onChange(syncMeasureUI);
+layers.onChange(syncMeasureUI);
+layers.onChange(() => annotationRenderer.invalidate());
+videoEl.addEventListener('timeupdate', syncMeasureUI);
+videoEl.addEventListener('seeked', syncMeasureUI);
+videoEl.addEventListener('loadedmetadata', syncMeasureUI);
+imageEl.addEventListener('load', syncMeasureUI);
+new ResizeObserver(syncMeasureUI).observe(annotationCanvas);
+syncMeasureUI();
 
 /* ── Flocking ── */
 
-const formationRowsEl = $('#formationRows');
-const btnAddRow = $('#btnAddRow');
+const formationName      = $('#formationName');
+const pointList          = $('#pointList');
+const pointName          = $('#pointName');
+const btnAddPoint        = $('#btnAddPoint');
+const btnPointEarlier    = $('#btnPointEarlier');
+const btnPointLater      = $('#btnPointLater');
+const btnDeletePoint     = $('#btnDeletePoint');
+const btnPreviewDive     = $('#btnPreviewDive');
+const btnEditFormation   = $('#btnEditFormation');
+const formationSnap      = $('#formationSnap');
+const formationShow      = $('#formationShow');
+const formationHint      = $('#formationHint');
+const slotEditor         = $('#slotEditor');
+const slotNumber         = $('#slotNumber');
+const slotColor          = $('#slotColor');
+const slotName           = $('#slotName');
+const btnDeleteSlot      = $('#btnDeleteSlot');
+const formationRowsEl    = $('#formationRows');
+const btnAddRow          = $('#btnAddRow');
+const btnLayoutRows      = $('#btnLayoutRows');
+const formationInput     = $('#formationInput');
+const btnSaveFormation   = $('#btnSaveFormation');
+const btnLoadFormation   = $('#btnLoadFormation');
+const diagramFormat      = $('#diagramFormat');
 const btnDownloadFormation = $('#btnDownloadFormation');
+const btnDownloadSheet   = $('#btnDownloadSheet');
 
+/** Row counts for the quick layout; applied to the formation on demand. */
 let formationRows = [1, 2, 3, 2, 1];
 
+function editFormation(label, fn, mergeKey) {
+  editHistory.record(formation, fn, { label, mergeKey });
+}
+
+/** Change a field of the selected slot as one undo step. */
+function editSlot(label, props, mergeKey) {
+  const sel = formation.selected;
+  if (sel) editFormation(label, () => formation.modifySlot(sel.id, props), mergeKey);
+}
+
 function buildFormationUI() {
   formationRowsEl.innerHTML = '';
   formationRows.forEach((count, i) => {
@@ -189,8 +1390,410 @@ btnAddRow.addEventListener('click', () => {
   buildFormationUI();
 });
 
+btnLayoutRows.addEventListener('click', () => {
+  editFormation('Lay out rows', () => formation.layoutRows(formationRows));
+});
+
+formationName.addEventListener('input', () => {
+  editFormation('Formation name', () => { formation.name = formationName.value; }, 'formationName');
+});
+formationName.addEventListener('change', () => editHistory.commit());
+
+pointName.addEventListener('input', () => {
+  const i = formation.pointIndex;
+  editFormation('Point name', () => formation.renamePoint(i, pointName.value), `pointName-${i}`);
+});
+pointName.addEventListener('change', () => editHistory.commit());
+
+btnAddPoint.addEventListener('click', () => editFormation('Add point', () => formation.addPoint()));
+
+btnPointEarlier.addEventListener('click', () => {
+  editFormation('Move point', () => formation.movePoint(formation.pointIndex, -1));
+});
+
+btnPointLater.addEventListener('click', () => {
+  editFormation('Move point', () => formation.movePoint(formation.pointIndex, 1));
+});
+
+btnDeletePoint.addEventListener('click', () => {
+  editFormation('Delete point', () => formation.removePoint(formation.pointIndex));
+});
+
+btnPreviewDive.addEventListener('click', () => {
+  if (formationEditor.previewing) {
+    formationEditor.stopPreview();
+    return;
+  }
+  // From the current point, or from the top when already on the last one
+  const i = formation.pointIndex;
+  formationEditor.preview(i < formation.pointCount - 1 ? i : 0);
+});
+
+btnEditFormation.addEventListener('click', () => {
+  formationEditor.editing = !formationEditor.editing;
+});
+formationSnap.addEventListener('change', () => { formationEditor.snap = formationSnap.checked; });
+formationShow.addEventListener('change', () => { formationEditor.visible = formationShow.checked; });
+
+slotNumber.addEventListener('input', () => {
+  const n = parseInt(slotNumber.value, 10);
+  if (Number.isFinite(n)) editSlot('Slot number', { number: n }, 'slotNumber');
+});
+slotNumber.addEventListener('change', () => editHistory.commit());
+
+slotName.addEventListener('input', () => editSlot('Jumper name', { name: slotName.value }, 'slotName'));
+slotName.addEventListener('change', () => editHistory.commit());
+
+slotColor.addEventListener('input', () => editSlot('Slot color', { color: slotColor.value }, 'slotColor'));
+slotColor.addEventListener('change', () => editHistory.commit());
+
+function deleteSelectedSlot() {
+  const sel = formation.selected;
+  if (sel) editFormation('Delete slot', () => formation.removeSlot(sel.id));
+}
+
+btnDeleteSlot.addEventListener('click', deleteSelectedSlot);
+
+btnSaveFormation.addEventListener('click', () => downloadFormation(formation));
+btnLoadFormation.addEventListener('click', () => formationInput.click());
+
+formationInput.addEventListener('change', async () => {
+  const file = formationInput.files[0];
+  formationInput.value = '';
+  if (!file) return;
+  try {
+    const data = await readFormationFile(file);
+    editFormation('Load formation', () => formation.update(data));
+  } catch (err) {
+    formationHint.textContent = err.message;
+  }
+});
+
 btnDownloadFormation.addEventListener('click', () => {
-  renderFormation(formationRows);
+  renderFormation(formation, diagramFormat.value);
 });
 
+btnDownloadSheet.addEventListener('click', () => {
+  try {
+    renderDiveSheet(formation);
+  } catch (err) {
+    formationHint.textContent = err.message;
+  }
+});
+
+function buildPointUI() {
+  pointList.innerHTML = '';
+  for (let i = 0; i < formation.pointCount; i++) {
+    const btn = document.createElement('button');
+    btn.className = 'btn btn-small';
+    btn.classList.toggle('active', i === formation.pointIndex);
+    btn.textContent = `${i + 1}`;
+    btn.title = formation.pointLabel(i);
+    btn.addEventListener('click', () => formation.selectPoint(i));
+    pointList.appendChild(btn);
+  }
+}
+
+function syncFormationUI() {
+  // Don't fight the user while they type
+  if (document.activeElement !== formationName) formationName.value = formation.name;
+
+  const editing = formationEditor.editing;
+  btnEditFormation.classList.toggle('active', editing);
+  btnEditFormation.textContent = editing ? 'Done' : 'Edit on Media';
+  formationSnap.checked = formationEditor.snap;
+  formationShow.checked = formationEditor.visible;
+
+  const n = formation.pointCount;
+  const i = formation.pointIndex;
+  buildPointUI();
+  if (document.activeElement !== pointName) pointName.value = formation.pointName(i);
+  pointName.placeholder = `Point ${i + 1} name`;
+  btnPointEarlier.disabled = i === 0;
+  btnPointLater.disabled = i === n - 1;
+  btnDeletePoint.disabled = n === 1;
+  btnPreviewDive.disabled = n < 2;
+  btnPreviewDive.textContent = formationEditor.previewing ? 'Stop Preview' : 'Preview Transitions';
+
+  const slots = formation.slots;
+  const grips = formation.grips.length;
+  btnDownloadFormation.disabled = slots.length === 0;
+  btnDownloadSheet.disabled = slots.length === 0;
+  formationHint.textContent = editing
+    ? 'Click to add a slot, drag to move. Shift-click another slot to link a grip.'
+    : slots.length === 0
+      ? 'No slots'
+      : `${formation.pointLabel(i)}: ${slots.length} slot${slots.length === 1 ? '' : 's'} \u00b7 ${grips} grip${grips === 1 ? '' : 's'}`;
+
+  const sel = formation.selected;
+  slotEditor.hidden = !sel;
+  if (sel) {
+    if (document.activeElement !== slotNumber) slotNumber.value = sel.number;
+    if (document.activeElement !== slotName) slotName.value = sel.name;
+    slotColor.value = sel.color;
+  }
+}
+
+// Only one overlay takes pointer input at a time
+formationEditor.onChange(() => {
+  if (formationEditor.editing) annotationTools.tool = 'grid';
+});
+annotationTools.onChange(() => {
+  if (annotationTools.tool !== 'grid') formationEditor.editing = false;
+});
+
+formation.onChange(syncFormationUI);
+formationEditor.onChange(syncFormationUI);
+formation.layoutRows(formationRows);
 buildFormationUI();
+
+/* ── Layers ── */
+
+const layerList   = $('#layerList');
+const btnAddLayer = $('#btnAddLayer');
+
+/** Layer list state last rendered, so config edits don't rebuild the list. */
+let layerListKey = '';
+
+function buildLayerUI() {
+  const sel = layers.selected;
+  const key = JSON.stringify(layers.layers.map((l) =>
+    [l.id, l.name, l.visible, l.locked, l.config.lineColor, l.id === sel.id]));
+  if (key === layerListKey) return;
+  layerListKey = key;
+
+  layerList.innerHTML = '';
+  const all = layers.layers;
+  // Top of the stack first, like most layer panels
+  all.slice().reverse().forEach((layer) => {
+    const z = all.indexOf(layer);
+    const row = document.createElement('div');
+    row.className = 'layer-row';
+    row.classList.toggle('selected', layer.id === sel.id);
+    row.classList.toggle('hidden-layer', !layer.visible);
+    row.addEventListener('click', () => layers.select(layer.id));
+
+    const visBtn = document.createElement('button');
+    visBtn.className = 'layer-icon';
+    visBtn.textContent = layer.visible ? '\u25C9' : '\u25CB';
+    visBtn.title = layer.visible ? 'Hide layer' : 'Show layer';
+    visBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      layers.setVisible(layer.id, !layer.visible);
+    });
+
+    const swatch = document.createElement('span');
+    swatch.className = 'layer-swatch';
+    swatch.style.background = layer.config.lineColor;
+
+    const name = document.createElement('span');
+    name.className = 'layer-name';
+    name.textContent = layer.name;
+    name.title = 'Double-click to rename';
+    name.addEventListener('dblclick', () => startRename(layer, name));
+
+    const lockBtn = document.createElement('button');
+    lockBtn.className = 'layer-icon';
+    lockBtn.classList.toggle('active', layer.locked);
+    lockBtn.textContent = layer.locked ? '\u{1F512}' : '\u{1F513}';
+    lockBtn.title = layer.locked ? 'Unlock layer' : 'Lock layer';
+    lockBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      layers.setLocked(layer.id, !layer.locked);
+    });
+
+    const upBtn = document.createElement('button');
+    upBtn.className = 'layer-icon';
+    upBtn.textContent = '\u25B4';
+    upBtn.title = 'Move up';
+    upBtn.disabled = z === all.length - 1;
+    upBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      layers.move(layer.id, 1);
+    });
+
+    const downBtn = document.createElement('button');
+    downBtn.className = 'layer-icon';
+    downBtn.textContent = '\u25BE';
+    downBtn.title = 'Move down';
+    downBtn.disabled = z === 0;
+    downBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      layers.move(layer.id, -1);
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-remove';
+    removeBtn.textContent = '\u00d7';
+    removeBtn.title = 'Delete layer';
+    removeBtn.disabled = all.length === 1;
+    removeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      layers.remove(layer.id);
+    });
+
+    row.append(visBtn, swatch, name, lockBtn, upBtn, downBtn, removeBtn);
+    layerList.appendChild(row);
+  });
+}
+
+/** Swap a layer's name label for an inline text field. */
+function startRename(layer, nameEl) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'text-input';
+  input.value = layer.name;
+  input.maxLength = 40;
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = (commit) => {
+    if (done) return;
+    done = true;
+    layerListKey = '';
+    if (commit) layers.rename(layer.id, input.value);
+    buildLayerUI();
+  };
+  input.addEventListener('click', (e) => e.stopPropagation());
+  input.addEventListener('blur', () => finish(true));
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    else if (e.key === 'Escape') finish(false);
+  });
+}
+
+btnAddLayer.addEventListener('click', () => layers.add());
+
+layers.onChange(buildLayerUI);
+buildLayerUI();
+
+/* ── Presets ── */
+
+const presetList    = $('#presetList');
+const presetName    = $('#presetName');
+const btnSavePreset = $('#btnSavePreset');
+
+function buildPresetUI() {
+  presetList.innerHTML = '';
+  for (const name of listPresets()) {
+    const chip = document.createElement('div');
+    chip.className = 'preset-chip';
+
+    const applyBtn = document.createElement('button');
+    applyBtn.className = 'btn btn-small';
+    applyBtn.textContent = name;
+    applyBtn.title = `Apply preset \u201c${name}\u201d`;
+    applyBtn.addEventListener('click', () => {
+      editGrid(`Preset \u201c${name}\u201d`, () => applyPreset(name, config));
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-small btn-remove';
+    removeBtn.textContent = '\u00d7';
+    removeBtn.title = `Delete preset \u201c${name}\u201d`;
+    removeBtn.addEventListener('click', () => {
+      deletePreset(name);
+      buildPresetUI();
+    });
+
+    chip.append(applyBtn, removeBtn);
+    presetList.appendChild(chip);
+  }
+}
+
+presetName.addEventListener('input', () => {
+  btnSavePreset.disabled = presetName.value.trim() === '';
+});
+
+presetName.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && !btnSavePreset.disabled) btnSavePreset.click();
+});
+
+btnSavePreset.addEventListener('click', () => {
+  savePreset(presetName.value.trim(), config);
+  presetName.value = '';
+  btnSavePreset.disabled = true;
+  buildPresetUI();
+});
+
+buildPresetUI();
+
+/* ── Session import / export ── */
+
+const sessionInput     = $('#sessionInput');
+const btnExportSession = $('#btnExportSession');
+const btnImportSession = $('#btnImportSession');
+const sessionHint      = $('#sessionHint');
+
+/** Playhead to restore once the session's media file is opened. */
+let pendingSeek = null;
+
+btnExportSession.addEventListener('click', () => {
+  downloadSession(buildSession({ layers, annotations, formation, mediaLoader }));
+});
+
+btnImportSession.addEventListener('click', () => sessionInput.click());
+
+sessionInput.addEventListener('change', async () => {
+  const file = sessionInput.files[0];
+  sessionInput.value = '';
+  if (!file) return;
+
+  let session;
+  try {
+    session = await readSessionFile(file);
+  } catch (err) {
+    sessionHint.textContent = err.message;
+    return;
+  }
+
+  // Keyframes belong to the session's clip; keep them when that clip is opened
+  keyframedFile = session.media.fileName;
+  layers.load(session.layers);
+  annotations.update(session.annotations);
+  if (session.formation) {
+    formation.update(session.formation);
+  } else if (session.formationRows) {
+    // Older sessions only had row counts
+    formationRows = session.formationRows;
+    formation.layoutRows(formationRows);
+    buildFormationUI();
+  }
+  // Old entries point at the replaced layers
+  editHistory.clear();
+
+  const { fileName: name, currentTime } = session.media;
+  if (name && name === mediaLoader.fileName) {
+    mediaLoader.seek(currentTime);
+    sessionHint.textContent = `Session restored at ${formatTime(currentTime)}.`;
+  } else if (name) {
+    pendingSeek = { fileName: name, time: currentTime };
+    sessionHint.textContent = `Open \u201c${name}\u201d to continue at ${formatTime(currentTime)}.`;
+  } else {
+    sessionHint.textContent = 'Session restored.';
+  }
+});
+
+videoEl.addEventListener('loadedmetadata', () => {
+  if (!pendingSeek || pendingSeek.fileName !== mediaLoader.fileName) return;
+  mediaLoader.seek(pendingSeek.time);
+  sessionHint.textContent = `Session restored at ${formatTime(pendingSeek.time)}.`;
+  pendingSeek = null;
+});
+
+/* ── Offline app ── */
+const updateBanner = $('#updateBanner');
+
+// "Open with" on a clip or photos, once installed
+onLaunchFiles((files) => mediaLoader.openFiles(files));
+
+/** Switches to the waiting version and reloads; set once one has installed. */
+let applyUpdate = null;
+registerServiceWorker((apply) => {
+  applyUpdate = apply;
+  updateBanner.hidden = false;
+});
+$('#btnUpdateReload').addEventListener('click', () => applyUpdate?.());
+$('#btnUpdateLater').addEventListener('click', () => { updateBanner.hidden = true; });
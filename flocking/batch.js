@@ -0,0 +1,122 @@
+/**
+ * Batch — thumbnails for the photo queue, and "export all": every queued
+ * photo composited with the same grid, formation and annotations and
+ * bundled into one ZIP of PNGs, built in the browser.
+ */
+
+import { drawMediaContained } from './snapshot.js';
+import { downloadBlob, baseName } from './download.js';
+import { ZipWriter } from './zip.js';
+
+/** Longest side of a queue thumbnail, in px. */
+const THUMB_SIZE = 120;
+
+/** @type {WeakMap<File, Promise<string>>} */
+const thumbnails = new WeakMap();
+
+/**
+ * Object URL of a small preview of `file`, made once per file so hundreds
+ * of full-size photos aren't decoded for the strip.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export function thumbnailURL(file) {
+  if (!thumbnails.has(file)) thumbnails.set(file, makeThumbnail(file));
+  return thumbnails.get(file);
+}
+
+/**
+ * Free the thumbnail of a photo that has left the queue.
+ * @param {File} file
+ */
+export function releaseThumbnail(file) {
+  const url = thumbnails.get(file);
+  if (!url) return;
+  thumbnails.delete(file);
+  url.then((u) => URL.revokeObjectURL(u));
+}
+
+/**
+ * Composite every queued photo at the media area's size and download the
+ * lot as a ZIP. `offsetOf` gives each photo's grid offset; the grid
+ * renderer already draws at the offset of the photo being shown.
+ * Resolves with the number of photos exported, 0 when cancelled.
+ * Photos the browser can't decode are skipped.
+ * @param {{
+ *   mediaLoader: import('./media-loader.js').MediaLoader,
+ *   gridRenderer: import('./grid-renderer.js').GridRenderer,
+ *   formationEditor?: import('./formation-editor.js').FormationEditor,
+ *   annotationRenderer?: import('./annotation-renderer.js').AnnotationRenderer,
+ *   mediaArea: HTMLElement,
+ *   offsetOf: (file: File|undefined) => {x: number, y: number},
+ *   onProgress?: (fraction: number) => void,
+ *   signal?: AbortSignal
+ * }} deps
+ * @returns {Promise<number>}
+ */
+export async function exportBatch({
+  mediaLoader, gridRenderer, formationEditor = null, annotationRenderer = null, mediaArea,
+  offsetOf, onProgress = () => {}, signal,
+}) {
+  const files = mediaLoader.queue;
+  const width = mediaArea.clientWidth;
+  const height = mediaArea.clientHeight;
+  if (files.length === 0 || !width || !height) return 0;
+  const shown = offsetOf(files[mediaLoader.queueIndex]);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const zip = new ZipWriter();
+
+  for (const [i, file] of files.entries()) {
+    if (signal?.aborted) return 0;
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(file);
+    } catch {
+      onProgress((i + 1) / files.length);
+      continue;
+    }
+
+    drawMediaContained(ctx, bitmap, bitmap.width, bitmap.height, width, height);
+    const offset = offsetOf(file);
+    ctx.save();
+    ctx.translate(offset.x - shown.x, offset.y - shown.y);
+    gridRenderer.drawTo(ctx, width, height);
+    formationEditor?.drawTo(ctx, width, height);
+    ctx.restore();
+    annotationRenderer?.drawTo(ctx, width, height, null, { width: bitmap.width, height: bitmap.height });
+    bitmap.close();
+
+    const png = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    if (png) zip.add(`${baseName(file.name, 'photo')}_grid.png`, await png.arrayBuffer());
+    onProgress((i + 1) / files.length);
+  }
+
+  if (signal?.aborted || zip.size === 0) return 0;
+  downloadBlob(zip.toBlob(), 'flocking_batch.zip');
+  return zip.size;
+}
+
+/* ── Helpers ── */
+
+/** @param {File} file */
+async function makeThumbnail(file) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    // e.g. SVG, which createImageBitmap won't take from a Blob; the browser can still show it
+    return URL.createObjectURL(file);
+  }
+  const k = Math.min(1, THUMB_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * k));
+  canvas.height = Math.max(1, Math.round(bitmap.height * k));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+  return blob ? URL.createObjectURL(blob) : URL.createObjectURL(file);
+}
@@ -0,0 +1,23 @@
+/**
+ * Download — save a Blob to disk through a temporary <a download> link.
+ */
+
+/**
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/** File name without its extension, e.g. "jump 3.mp4" → "jump 3". */
+export function baseName(name, fallback) {
+  return (name || fallback).replace(/\.[^.]+$/, '');
+}
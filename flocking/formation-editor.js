@@ -0,0 +1,398 @@
+/**
+ * FormationEditor — draws the current point of the designed dive over the
+ * media, laid out in the selected grid layer's frame (one formation unit =
+ * one grid cell), and lets slots be placed and dragged there.
+ *
+ * While editing: click empty space to add a slot, drag a slot to move it
+ * (snapping to half cells when snapping is on), and Shift-click a second
+ * slot to link or unlink a grip with the selected one.
+ *
+ * preview() animates each jumper from their slot in one point to their slot
+ * in the next, through to the last point.
+ */
+
+import { localToScreen, screenToLocal } from './grid-geometry.js';
+import { slotsBetween } from './formation.js';
+
+/** Slot radius as a fraction of the cell size. */
+const SLOT_RADIUS = 0.38;
+const MIN_SLOT_RADIUS = 8;
+/** Snap step in cells. */
+const SNAP_STEP = 0.5;
+/** Preview timing in seconds: how long each point holds, and each transition takes. */
+const PREVIEW_HOLD = 0.8;
+const PREVIEW_MOVE = 1.5;
+
+export class FormationEditor {
+  /** @type {Set<Function>} */
+  #listeners = new Set();
+  /** @type {HTMLCanvasElement} */
+  #canvas;
+  /** @type {CanvasRenderingContext2D} */
+  #ctx;
+  /** @type {import('./formation.js').Formation} */
+  #formation;
+  /** @type {import('./layers.js').LayerStack} */
+  #layers;
+  /** @type {import('./grid-renderer.js').GridRenderer} */
+  #gridRenderer;
+  /** @type {import('./history.js').EditHistory|null} */
+  #history;
+  /** @type {number} */
+  #rafId = 0;
+  /** @type {ResizeObserver} */
+  #resizeObserver;
+  #needsDraw = true;
+
+  #editing = false;
+  #visible = false;
+  #snap = true;
+  /** @type {{id: number, dx: number, dy: number}|null} slot being dragged, with the grab offset in cells */
+  #drag = null;
+  /** @type {{from: number, start: number}|null} running transition preview */
+  #preview = null;
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {import('./formation.js').Formation} formation
+   * @param {import('./layers.js').LayerStack} layers
+   * @param {import('./grid-renderer.js').GridRenderer} gridRenderer
+   * @param {import('./history.js').EditHistory} [history] records each placement or drag as one undo step
+   */
+  constructor(canvas, formation, layers, gridRenderer, history = null) {
+    this.#canvas = canvas;
+    this.#ctx = canvas.getContext('2d');
+    this.#formation = formation;
+    this.#layers = layers;
+    this.#gridRenderer = gridRenderer;
+    this.#history = history;
+
+    // The formation follows the selected grid as it moves or animates
+    formation.onChange(() => { this.#needsDraw = true; });
+    layers.onChange(() => { this.#needsDraw = true; });
+
+    canvas.addEventListener('pointerdown', this.#onPointerDown);
+    canvas.addEventListener('pointermove', this.#onPointerMove);
+    canvas.addEventListener('pointerup', this.#onPointerUp);
+    canvas.addEventListener('pointercancel', this.#onPointerUp);
+
+    this.#resizeObserver = new ResizeObserver(() => {
+      this.#syncSize();
+      this.#needsDraw = true;
+    });
+    this.#resizeObserver.observe(canvas);
+
+    this.#syncSize();
+    this.#syncCanvas();
+    this.#loop();
+  }
+
+  /** Whether pointer input on the media edits the formation. */
+  get editing() { return this.#editing; }
+  set editing(v) {
+    if (v === this.#editing) return;
+    this.#editing = v;
+    // Editing something you can't see would be confusing
+    if (v) this.#visible = true;
+    else this.#formation.select(null);
+    this.#syncCanvas();
+    this.#needsDraw = true;
+    this.#notify();
+  }
+
+  /** Whether the formation is drawn over the media (and into snapshots). */
+  get visible() { return this.#visible; }
+  set visible(v) {
+    if (v === this.#visible) return;
+    this.#visible = v;
+    if (!v) this.editing = false;
+    this.#needsDraw = true;
+    this.#notify();
+  }
+
+  /** Snap dragged and placed slots to half-cell steps. */
+  get snap() { return this.#snap; }
+  set snap(v) {
+    this.#snap = !!v;
+    this.#notify();
+  }
+
+  get previewing() { return this.#preview !== null; }
+
+  /**
+   * Animate the dive from point `from` through to the last point.
+   * @param {number} [from]
+   */
+  preview(from = 0) {
+    if (from < 0 || from >= this.#formation.pointCount - 1) return;
+    this.#drag = null;
+    this.#preview = { from, start: performance.now() };
+    this.#needsDraw = true;
+    this.#notify();
+  }
+
+  stopPreview() {
+    if (!this.#preview) return;
+    this.#preview = null;
+    this.#needsDraw = true;
+    this.#notify();
+  }
+
+  /* ── Drawing ── */
+
+  /** Sync canvas backing size to CSS size × devicePixelRatio. */
+  #syncSize() {
+    const dpr = window.devicePixelRatio || 1;
+    this.#canvas.width = this.#canvas.clientWidth * dpr;
+    this.#canvas.height = this.#canvas.clientHeight * dpr;
+    this.#ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  /** requestAnimationFrame loop — redraws when needed, every frame while previewing. */
+  #loop() {
+    this.#rafId = requestAnimationFrame(() => this.#loop());
+    if (!this.#needsDraw && !this.#preview) return;
+    this.#needsDraw = false;
+    const ctx = this.#ctx;
+    const props = this.#gridRenderer.propsAt(this.#layers.selected);
+    const w = this.#canvas.clientWidth;
+    const h = this.#canvas.clientHeight;
+    ctx.clearRect(0, 0, w, h);
+
+    if (this.#preview) {
+      const frame = this.#previewFrame();
+      if (frame) {
+        this.#drawSlots(ctx, props, w, h, frame.slots, frame.grips, null);
+        this.#drawCaption(ctx, w, frame.caption);
+        return;
+      }
+      // Finished: fall through and show the current point again
+      this.#preview = null;
+      this.#notify();
+    }
+
+    if (this.#visible) {
+      const f = this.#formation;
+      this.#drawSlots(ctx, props, w, h, f.slots, f.grips, this.#editing ? f.selected?.id : null);
+    }
+  }
+
+  /** Slots, grips and caption of the preview right now, or null once it is over. */
+  #previewFrame() {
+    const f = this.#formation;
+    const elapsed = (performance.now() - this.#preview.start) / 1000;
+    const step = PREVIEW_HOLD + PREVIEW_MOVE;
+    const k = Math.floor(elapsed / step);
+    const i = this.#preview.from + k;
+    const within = elapsed - k * step;
+    const last = f.pointCount - 1;
+    if (i > last || (i === last && within > PREVIEW_HOLD)) return null;
+    if (i === last || within <= PREVIEW_HOLD) {
+      return { slots: f.slotsAt(i), grips: f.gripsAt(i), caption: f.pointLabel(i) };
+    }
+    const t = easeInOut((within - PREVIEW_HOLD) / PREVIEW_MOVE);
+    return {
+      slots: slotsBetween(f, i, t),
+      // Grips of the point being left until halfway, then those being built
+      grips: t < 0.5 ? f.gripsAt(i) : f.gripsAt(i + 1),
+      caption: `${f.pointLabel(i)} \u2192 ${f.pointLabel(i + 1)}`,
+    };
+  }
+
+  #drawCaption(ctx, w, text) {
+    ctx.save();
+    ctx.font = '600 16px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.lineWidth = 4;
+    ctx.fillStyle = '#fff';
+    ctx.strokeText(text, w / 2, 12);
+    ctx.fillText(text, w / 2, 12);
+    ctx.restore();
+  }
+
+  /**
+   * Draw the formation onto an arbitrary context at given dimensions, laid
+   * over the selected grid as it is at `time`. Used by snapshot compositing
+   * and video export; draws nothing while the formation is hidden.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} width
+   * @param {number} height
+   * @param {number} [time] video time in seconds
+   */
+  drawTo(ctx, width, height, time) {
+    if (!this.#visible) return;
+    const props = this.#gridRenderer.propsAt(this.#layers.selected, time);
+    this.#drawSlots(ctx, props, width, height, this.#formation.slots, this.#formation.grips, null);
+  }
+
+  #drawSlots(ctx, props, w, h, slots, grips, selectedId) {
+    if (slots.length === 0) return;
+    const r = Math.max(MIN_SLOT_RADIUS, props.cellSize * SLOT_RADIUS);
+    const pos = new Map(slots.map((s) => [s.id, this.#toScreen(props, w, h, s.x, s.y)]));
+
+    ctx.save();
+    ctx.lineCap = 'round';
+
+    // Grips
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.lineWidth = Math.max(2, r * 0.18);
+    for (const [a, b] of grips) {
+      const p = pos.get(a);
+      const q = pos.get(b);
+      if (!p || !q) continue;
+      ctx.beginPath();
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(q.x, q.y);
+      ctx.stroke();
+    }
+
+    // Slots: colored disc with the slot number, jumper name underneath
+    ctx.textAlign = 'center';
+    for (const s of slots) {
+      const p = pos.get(s.id);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+      ctx.fillStyle = s.color;
+      ctx.globalAlpha = 0.85;
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.lineWidth = s.id === selectedId ? 3 : 1.5;
+      ctx.strokeStyle = s.id === selectedId ? '#fff' : 'rgba(0, 0, 0, 0.6)';
+      ctx.stroke();
+
+      ctx.fillStyle = '#fff';
+      ctx.textBaseline = 'middle';
+      ctx.font = `bold ${Math.round(r * 0.9)}px system-ui, sans-serif`;
+      ctx.fillText(String(s.number), p.x, p.y);
+
+      if (s.name) {
+        ctx.textBaseline = 'top';
+        ctx.font = `600 ${Math.max(10, Math.round(r * 0.55))}px system-ui, sans-serif`;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.lineWidth = 3;
+        ctx.strokeText(s.name, p.x, p.y + r + 3);
+        ctx.fillText(s.name, p.x, p.y + r + 3);
+      }
+    }
+    ctx.restore();
+  }
+
+  /* ── Pointer input ── */
+
+  #onPointerDown = (e) => {
+    if (!this.#editing || this.#preview || e.button !== 0) return;
+    const p = this.#pointerCells(e);
+    const hit = this.#hitSlot(p);
+    const selected = this.#formation.selected;
+    this.#canvas.setPointerCapture(e.pointerId);
+
+    if (hit && e.shiftKey && selected && selected.id !== hit.id) {
+      this.#edit('Toggle grip', null, () => this.#formation.toggleGrip(selected.id, hit.id));
+      return;
+    }
+
+    this.#history?.begin('formation');
+    if (hit) {
+      this.#formation.select(hit.id);
+      this.#drag = { id: hit.id, dx: hit.x - p.x, dy: hit.y - p.y };
+      return;
+    }
+
+    // Empty space: place a new slot there and keep dragging it
+    const at = this.#snapped(p.x, p.y);
+    let id = null;
+    this.#edit('Add slot', 'formation', () => { id = this.#formation.addSlot(at); });
+    if (id === null) return;
+    this.#formation.select(id);
+    this.#drag = { id, dx: 0, dy: 0 };
+  };
+
+  #onPointerMove = (e) => {
+    if (!this.#editing || this.#preview) return;
+    const p = this.#pointerCells(e);
+    if (!this.#drag) {
+      this.#canvas.style.cursor = this.#hitSlot(p) ? 'move' : 'copy';
+      return;
+    }
+    const { id, dx, dy } = this.#drag;
+    const at = this.#snapped(p.x + dx, p.y + dy);
+    const slot = this.#formation.get(id);
+    if (!slot || (slot.x === at.x && slot.y === at.y)) return;
+    this.#edit('Move slot', 'formation', () => this.#formation.modifySlot(id, at));
+  };
+
+  #onPointerUp = () => {
+    if (!this.#drag) return;
+    this.#drag = null;
+    this.#history?.commit();
+  };
+
+  /* ── Helpers ── */
+
+  #toScreen(props, w, h, x, y) {
+    return localToScreen(props, w, h, x * props.cellSize, y * props.cellSize);
+  }
+
+  /** Pointer position in cells of the selected grid. */
+  #pointerCells(e) {
+    const props = this.#gridRenderer.propsAt(this.#layers.selected);
+    const rect = this.#canvas.getBoundingClientRect();
+    const local = screenToLocal(props, rect.width, rect.height, e.clientX - rect.left, e.clientY - rect.top);
+    return { x: local.x / props.cellSize, y: local.y / props.cellSize };
+  }
+
+  #snapped(x, y) {
+    if (!this.#snap) return { x, y };
+    return { x: Math.round(x / SNAP_STEP) * SNAP_STEP, y: Math.round(y / SNAP_STEP) * SNAP_STEP };
+  }
+
+  /** Topmost slot under a point given in cells. */
+  #hitSlot(p) {
+    const props = this.#layers.selected.config;
+    const r = Math.max(MIN_SLOT_RADIUS, props.cellSize * SLOT_RADIUS) / props.cellSize;
+    return this.#formation.slots.reverse().find((s) => Math.hypot(s.x - p.x, s.y - p.y) <= r) ?? null;
+  }
+
+  /** Route pointer events to this canvas only while editing. */
+  #syncCanvas() {
+    this.#canvas.classList.toggle('active', this.#editing);
+    if (!this.#editing) this.#canvas.style.cursor = '';
+  }
+
+  #edit(label, mergeKey, fn) {
+    if (this.#history) this.#history.record(this.#formation, fn, { label, mergeKey });
+    else fn();
+  }
+
+  /* ── Observer pattern ── */
+
+  /** Register a listener for mode changes (editing, visible, snap, preview). Returns an unsubscribe function. */
+  onChange(fn) {
+    this.#listeners.add(fn);
+    return () => this.#listeners.delete(fn);
+  }
+
+  #notify() {
+    for (const fn of this.#listeners) fn(this);
+  }
+
+  /** Force a redraw on next frame. */
+  invalidate() {
+    this.#needsDraw = true;
+  }
+
+  destroy() {
+    cancelAnimationFrame(this.#rafId);
+    this.#resizeObserver.disconnect();
+    this.#canvas.removeEventListener('pointerdown', this.#onPointerDown);
+    this.#canvas.removeEventListener('pointermove', this.#onPointerMove);
+    this.#canvas.removeEventListener('pointerup', this.#onPointerUp);
+    this.#canvas.removeEventListener('pointercancel', this.#onPointerUp);
+  }
+}
+
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2;
+}
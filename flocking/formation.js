@@ -1,5 +1,30 @@
 /**
- * Formation — renders a skydiving formation diagram as a downloadable PNG.
+ * Formation — a designed dive: an ordered list of points (formations) flown
+ * by the same jumpers. Each jumper has a slot number, name and color that
+ * carry across points; each point has its own slot positions and grips.
+ * Positions are in grid cells from the center of the grid the formation is
+ * laid over.
+ * Also renders a point as a PNG or SVG diagram and the whole dive as a
+ * vector PDF briefing sheet.
+ */
+
+import { downloadBlob, baseName } from './download.js';
+import { PdfDocument, A4_LANDSCAPE } from './pdf.js';
+import { VectorContext } from './vector.js';
+
+/** Colors handed to new slots in turn. */
+export const SLOT_COLORS = ['#3b82f6', '#ef4444', '#f59e0b', '#10b981', '#a855f7', '#ec4899', '#14b8a6', '#f97316'];
+
+const MAX_SLOTS = 200;
+const MAX_POINTS = 50;
+const MAX_NAME_LENGTH = 40;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * @typedef {{id: number, number: number, name: string, color: string}} Jumper
+ * @typedef {{id: number, x: number, y: number, number: number, name: string, color: string}} Slot a jumper placed in a point
+ * @typedef {[number, number]} Grip jumper ids, lower first
+ * @typedef {{name: string, positions: Map<number, {x: number, y: number}>, grips: Grip[]}} Point
  */
 
 /**
@@ -8,8 +33,9 @@
  * @param {number} cx  center x
  * @param {number} cy  center y
  * @param {number} size total icon height (~70)
+ * @param {string} [color] canopy color
  */
-export function drawParachutePerson(ctx, cx, cy, size) {
+export function drawParachutePerson(ctx, cx, cy, size, color = '#3b82f6') {
   const canopyH = size * 0.32;
   const canopyW = size * 0.5;
   const canopyTop = cy - size / 2;
@@ -18,7 +44,7 @@ export function drawParachutePerson(ctx, cx, cy, size) {
   // — Parachute canopy (half-ellipse) —
   ctx.beginPath();
   ctx.ellipse(cx, canopyMid, canopyW, canopyH, 0, Math.PI, 0);
-  ctx.fillStyle = '#3b82f6';
+  ctx.fillStyle = color;
   ctx.fill();
   ctx.strokeStyle = '#1e40af';
   ctx.lineWidth = 1.5;
@@ -76,70 +102,598 @@ export function drawParachutePerson(ctx, cx, cy, size) {
   ctx.stroke();
 }
 
+export class Formation {
+  /** @type {Set<Function>} */
+  #listeners = new Set();
+  #name = 'Formation';
+  /** @type {Jumper[]} */
+  #jumpers = [];
+  /** @type {Point[]} */
+  #points = [emptyPoint()];
+  #current = 0;
+  #selectedId = null;
+  #nextId = 1;
+
+  get name() { return this.#name; }
+  set name(v) {
+    const name = String(v).trim().slice(0, MAX_NAME_LENGTH) || 'Formation';
+    if (name === this.#name) return;
+    this.#name = name;
+    this.#notify();
+  }
+
+  /* ── Points ── */
+
+  get pointCount() { return this.#points.length; }
+  /** Index of the point being edited. */
+  get pointIndex() { return this.#current; }
+
+  /** Display name of point `i`: its own name, or "Point n". */
+  pointLabel(i) {
+    const p = this.#points[i];
+    return p?.name || `Point ${i + 1}`;
+  }
+
+  /** Own name of point `i` ('' when unnamed). */
+  pointName(i) {
+    return this.#points[i]?.name ?? '';
+  }
+
+  selectPoint(i) {
+    if (i === this.#current || i < 0 || i >= this.#points.length) return;
+    this.#current = i;
+    this.#notify();
+  }
+
+  /** Insert a copy of the current point after it and switch to it. */
+  addPoint() {
+    if (this.#points.length >= MAX_POINTS) return;
+    const src = this.#points[this.#current];
+    const copy = {
+      name: '',
+      positions: new Map([...src.positions].map(([id, p]) => [id, { ...p }])),
+      grips: src.grips.map((g) => [...g]),
+    };
+    this.#points.splice(this.#current + 1, 0, copy);
+    this.#current++;
+    this.#notify();
+  }
+
+  /** Remove point `i`. The last remaining point can't be removed. */
+  removePoint(i) {
+    if (this.#points.length <= 1 || i < 0 || i >= this.#points.length) return;
+    this.#points.splice(i, 1);
+    this.#current = Math.min(this.#current, this.#points.length - 1);
+    this.#notify();
+  }
+
+  /** Move point `i` earlier (-1) or later (+1) in the dive. */
+  movePoint(i, delta) {
+    const j = i + delta;
+    if (i < 0 || i >= this.#points.length || j < 0 || j >= this.#points.length) return;
+    const [p] = this.#points.splice(i, 1);
+    this.#points.splice(j, 0, p);
+    if (this.#current === i) this.#current = j;
+    else if (this.#current === j) this.#current = i;
+    this.#notify();
+  }
+
+  renamePoint(i, name) {
+    const p = this.#points[i];
+    const trimmed = String(name).trim().slice(0, MAX_NAME_LENGTH);
+    if (!p || p.name === trimmed) return;
+    p.name = trimmed;
+    this.#notify();
+  }
+
+  /* ── Slots of the current point ── */
+
+  /** @returns {Slot[]} copies */
+  get slots() { return this.slotsAt(this.#current); }
+  /** @returns {Grip[]} copies */
+  get grips() { return this.gripsAt(this.#current); }
+
+  /**
+   * Every jumper placed as in point `i`.
+   * @returns {Slot[]}
+   */
+  slotsAt(i) {
+    const point = this.#points[i];
+    if (!point) return [];
+    return this.#jumpers.map((j) => ({ ...j, ...point.positions.get(j.id) }));
+  }
+
+  /** @returns {Grip[]} */
+  gripsAt(i) {
+    return (this.#points[i]?.grips ?? []).map((g) => [...g]);
+  }
+
+  /** @returns {Slot|null} selected jumper in the current point */
+  get selected() { return this.get(this.#selectedId); }
+
+  /** @returns {Slot|null} */
+  get(id) {
+    return this.slots.find((s) => s.id === id) ?? null;
+  }
+
+  /**
+   * Add a jumper, placed at the same spot in every point. Number and color
+   * default to the next free number and the next palette color. Returns the
+   * jumper's id, or null when full.
+   * @param {Partial<Slot>} [props]
+   */
+  addSlot(props = {}) {
+    if (this.#jumpers.length >= MAX_SLOTS) return null;
+    const used = new Set(this.#jumpers.map((j) => j.number));
+    let number = 1;
+    while (used.has(number)) number++;
+    const id = this.#nextId++;
+    this.#jumpers.push(cleanJumper({
+      number,
+      color: SLOT_COLORS[this.#jumpers.length % SLOT_COLORS.length],
+      ...props,
+      id,
+    }));
+    const at = cleanPosition(props);
+    for (const point of this.#points) point.positions.set(id, { ...at });
+    this.#notify();
+    return id;
+  }
+
+  /**
+   * Change a slot. Position applies to the current point; number, name and
+   * color belong to the jumper and apply to every point.
+   */
+  modifySlot(id, props) {
+    const i = this.#jumpers.findIndex((j) => j.id === id);
+    if (i < 0) return;
+    this.#jumpers[i] = cleanJumper({ ...this.#jumpers[i], ...props, id });
+    if ('x' in props || 'y' in props) {
+      const positions = this.#points[this.#current].positions;
+      positions.set(id, cleanPosition({ ...positions.get(id), ...props }));
+    }
+    this.#notify();
+  }
+
+  /** Remove a jumper from the dive, with their grips. */
+  removeSlot(id) {
+    const i = this.#jumpers.findIndex((j) => j.id === id);
+    if (i < 0) return;
+    this.#jumpers.splice(i, 1);
+    for (const point of this.#points) {
+      point.positions.delete(id);
+      point.grips = point.grips.filter(([a, b]) => a !== id && b !== id);
+    }
+    if (this.#selectedId === id) this.#selectedId = null;
+    this.#notify();
+  }
+
+  /** Link two jumpers with a grip in the current point, or unlink them. */
+  toggleGrip(a, b) {
+    if (a === b || !this.#hasJumper(a) || !this.#hasJumper(b)) return;
+    const [lo, hi] = a < b ? [a, b] : [b, a];
+    const grips = this.#points[this.#current].grips;
+    const i = grips.findIndex(([x, y]) => x === lo && y === hi);
+    if (i >= 0) grips.splice(i, 1);
+    else grips.push([lo, hi]);
+    this.#notify();
+  }
+
+  /** Select a jumper by id, or clear the selection with null. */
+  select(id) {
+    const next = this.#hasJumper(id) ? id : null;
+    if (next === this.#selectedId) return;
+    this.#selectedId = next;
+    this.#notify();
+  }
+
+  /**
+   * Lay the current point out in straight centered rows, one cell apart,
+   * gripped to their row neighbors, e.g. [1, 2, 3, 2, 1]. Jumpers are
+   * seated in slot-number order; jumpers are added or removed (from the
+   * whole dive) to match the row total.
+   * @param {number[]} rows
+   */
+  layoutRows(rows) {
+    const total = rows.reduce((n, c) => n + c, 0);
+    const bySlot = () => [...this.#jumpers].sort((a, b) => a.number - b.number);
+    while (this.#jumpers.length < total && this.#jumpers.length < MAX_SLOTS) this.addSlot();
+    for (const j of bySlot().slice(total)) this.removeSlot(j.id);
+
+    const seated = bySlot();
+    const point = this.#points[this.#current];
+    point.grips = [];
+    let k = 0;
+    rows.forEach((count, r) => {
+      for (let c = 0; c < count && k < seated.length; c++, k++) {
+        const id = seated[k].id;
+        point.positions.set(id, { x: c - (count - 1) / 2, y: r - (rows.length - 1) / 2 });
+        if (c > 0) point.grips.push([Math.min(seated[k - 1].id, id), Math.max(seated[k - 1].id, id)]);
+      }
+    });
+    this.#notify();
+  }
+
+  /**
+   * Serializable form. Together with update() this makes the formation an
+   * EditHistory target.
+   */
+  toJSON() {
+    return {
+      name: this.#name,
+      jumpers: this.#jumpers.map((j) => ({ ...j })),
+      points: this.#points.map((p) => ({
+        name: p.name,
+        slots: [...p.positions].map(([id, pos]) => ({ id, ...pos })),
+        grips: p.grips.map((g) => [...g]),
+      })),
+    };
+  }
+
+  /**
+   * Replace the whole dive (undo/redo, JSON import). Also accepts a single
+   * formation of `slots` and `grips` as saved before dives had points.
+   * Invalid entries are dropped; jumpers missing from a point are placed at
+   * the center.
+   * @param {unknown} data
+   */
+  update(data) {
+    const d = data && typeof data === 'object' ? data : {};
+    const single = !Array.isArray(d.points) && Array.isArray(d.slots);
+    const rawJumpers = single ? d.slots : d.jumpers;
+    const rawPoints = single ? [{ slots: d.slots, grips: d.grips }] : d.points;
+
+    const jumpers = [];
+    const ids = new Set();
+    for (const raw of Array.isArray(rawJumpers) ? rawJumpers.slice(0, MAX_SLOTS) : []) {
+      if (!raw || typeof raw !== 'object') continue;
+      const valid = Number.isInteger(raw.id) && raw.id > 0 && !ids.has(raw.id);
+      const j = cleanJumper({ ...raw, id: valid ? raw.id : null });
+      if (valid) ids.add(raw.id);
+      jumpers.push(j);
+    }
+    let next = Math.max(1, ...jumpers.map((j) => (j.id ?? 0) + 1));
+    for (const j of jumpers) {
+      if (j.id === null) {
+        j.id = next++;
+        ids.add(j.id);
+      }
+    }
+
+    const points = [];
+    for (const raw of Array.isArray(rawPoints) ? rawPoints.slice(0, MAX_POINTS) : []) {
+      if (!raw || typeof raw !== 'object') continue;
+      const point = emptyPoint(typeof raw.name === 'string' ? raw.name.trim().slice(0, MAX_NAME_LENGTH) : '');
+      for (const s of Array.isArray(raw.slots) ? raw.slots : []) {
+        if (s && ids.has(s.id) && Number.isFinite(s.x) && Number.isFinite(s.y)) {
+          point.positions.set(s.id, { x: s.x, y: s.y });
+        }
+      }
+      for (const j of jumpers) {
+        if (!point.positions.has(j.id)) point.positions.set(j.id, { x: 0, y: 0 });
+      }
+      for (const g of Array.isArray(raw.grips) ? raw.grips : []) {
+        if (!Array.isArray(g) || !ids.has(g[0]) || !ids.has(g[1]) || g[0] === g[1]) continue;
+        const pair = g[0] < g[1] ? [g[0], g[1]] : [g[1], g[0]];
+        if (!point.grips.some(([a, b]) => a === pair[0] && b === pair[1])) point.grips.push(pair);
+      }
+      points.push(point);
+    }
+    if (points.length === 0) {
+      const point = emptyPoint();
+      for (const j of jumpers) point.positions.set(j.id, { x: 0, y: 0 });
+      points.push(point);
+    }
+
+    this.#name = typeof d.name === 'string' && d.name.trim() ? d.name.trim().slice(0, MAX_NAME_LENGTH) : 'Formation';
+    this.#jumpers = jumpers;
+    this.#points = points;
+    this.#nextId = next;
+    this.#current = Math.min(this.#current, points.length - 1);
+    if (!this.#hasJumper(this.#selectedId)) this.#selectedId = null;
+    this.#notify();
+  }
+
+  /* ── Observer pattern ── */
+
+  /** Register a change listener. Returns an unsubscribe function. */
+  onChange(fn) {
+    this.#listeners.add(fn);
+    return () => this.#listeners.delete(fn);
+  }
+
+  #notify() {
+    for (const fn of this.#listeners) fn(this);
+  }
+
+  #hasJumper(id) {
+    return id != null && this.#jumpers.some((j) => j.id === id);
+  }
+}
+
+function emptyPoint(name = '') {
+  return { name, positions: new Map(), grips: [] };
+}
+
+/** Clamp and default the fields of a jumper. */
+function cleanJumper(raw) {
+  return {
+    id: raw.id,
+    number: Number.isFinite(raw.number) ? Math.max(1, Math.min(999, Math.round(raw.number))) : 1,
+    name: typeof raw.name === 'string' ? raw.name.trim().slice(0, MAX_NAME_LENGTH) : '',
+    color: typeof raw.color === 'string' && HEX_COLOR.test(raw.color) ? raw.color.toLowerCase() : SLOT_COLORS[0],
+  };
+}
+
+function cleanPosition(raw) {
+  return {
+    x: Number.isFinite(raw.x) ? raw.x : 0,
+    y: Number.isFinite(raw.y) ? raw.y : 0,
+  };
+}
+
+/**
+ * Slots part way through the transition from point `from` to point `from + 1`.
+ * @param {Formation} formation
+ * @param {number} from
+ * @param {number} t 0–1, eased
+ * @returns {Slot[]}
+ */
+export function slotsBetween(formation, from, t) {
+  const a = formation.slotsAt(from);
+  const b = new Map(formation.slotsAt(from + 1).map((s) => [s.id, s]));
+  return a.map((s) => {
+    const e = b.get(s.id) ?? s;
+    return { ...s, x: s.x + (e.x - s.x) * t, y: s.y + (e.y - s.y) * t };
+  });
+}
+
+/* ── JSON files ── */
+
+/** Download the dive as `<name>.formation.json`. */
+export function downloadFormation(formation) {
+  const json = JSON.stringify({ app: 'flocking-formation', version: 2, ...formation.toJSON() }, null, 2);
+  downloadBlob(new Blob([json], { type: 'application/json' }), `${baseName(formation.name, 'formation')}.formation.json`);
+}
+
 /**
- * Render a formation diagram and trigger a PNG download.
- * @param {number[]} rows  e.g. [1, 2, 3, 2, 1]
+ * Read a formation JSON file into plain data for Formation.update().
+ * @param {File} file
  */
-export function renderFormation(rows) {
-  if (!rows || rows.length === 0) return;
+export async function readFormationFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error('Formation file is not valid JSON.');
+  }
+  if (!data || data.app !== 'flocking-formation' || !(Array.isArray(data.points) || Array.isArray(data.slots))) {
+    throw new Error('Not a Flocking formation file.');
+  }
+  return data;
+}
 
-  const iconSize = 70;
-  const hSpacing = 80;
-  const vSpacing = 100;
-  const padding = 40;
-  const titleH = 40;
+/* ── Diagrams ── */
 
-  const maxInRow = Math.max(...rows);
-  const spacing = 100;
-  const personSize = 55;
+const DIAGRAM_SPACING = 100;   // px per grid cell
+const PERSON_SIZE = 55;
+const DIAGRAM_PADDING = 40;
+const TITLE_H = 40;
+const LABEL_H = 18;
 
-  // Layout people in straight rows, centered horizontally
-  const formationW = maxInRow * spacing;
-  const formationH = rows.length * spacing;
-  const canvasW = Math.max(formationW + padding * 2, 200);
-  const canvasH = formationH + padding * 2 + titleH;
+/** Diagram file formats renderFormation() can write. */
+export const DIAGRAM_FORMATS = ['png', 'svg'];
 
-  const canvas = document.createElement('canvas');
-  canvas.width = canvasW;
-  canvas.height = canvasH;
-  const ctx = canvas.getContext('2d');
+/**
+ * Size of a diagram of slots spanning `bounds`.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds in cells
+ * @param {boolean} titled whether a title band is drawn above the formation
+ */
+function diagramSize(bounds, titled) {
+  const formationW = (bounds.maxX - bounds.minX + 1) * DIAGRAM_SPACING;
+  const formationH = (bounds.maxY - bounds.minY + 1) * DIAGRAM_SPACING + LABEL_H;
+  return {
+    width: Math.max(formationW + DIAGRAM_PADDING * 2, 200),
+    height: formationH + DIAGRAM_PADDING * 2 + (titled ? TITLE_H : 0),
+    formationW,
+  };
+}
+
+/**
+ * Paint one point as a diagram at the origin of `ctx`, which may be a canvas
+ * or a VectorContext.
+ * @param {CanvasRenderingContext2D|import('./vector.js').VectorContext} ctx
+ * @param {Slot[]} slots
+ * @param {Grip[]} grips
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds in cells; shared across a sheet so jumpers don't jump between pages
+ * @param {string} [title] drawn above the formation when given
+ */
+function paintDiagram(ctx, slots, grips, bounds, title = '') {
+  const spacing = DIAGRAM_SPACING;
+  const { width, height, formationW } = diagramSize(bounds, !!title);
 
   // Background
   ctx.fillStyle = '#ffffff';
-  ctx.fillRect(0, 0, canvasW, canvasH);
+  ctx.fillRect(0, 0, width, height);
 
   // Title
   ctx.fillStyle = '#222';
   ctx.font = 'bold 18px sans-serif';
   ctx.textAlign = 'center';
-  ctx.fillText('Formation', canvasW / 2, padding + 20);
-
-  // Compute person positions (straight rows, centered)
-  const startY = padding + titleH + spacing / 2;
-  const centerX = canvasW / 2;
-  const positions = [];
-  for (let r = 0; r < rows.length; r++) {
-    const count = rows[r];
-    const rowWidth = count * spacing;
-    const startX = centerX - rowWidth / 2 + spacing / 2;
-    const cy = startY + r * spacing;
-    for (let c = 0; c < count; c++) {
-      positions.push({ x: startX + c * spacing, y: cy });
-    }
+  if (title) ctx.fillText(title, width / 2, DIAGRAM_PADDING + 20);
+
+  // Slot centers, with the formation centered horizontally
+  const originX = (width - formationW) / 2 + spacing / 2;
+  const originY = DIAGRAM_PADDING + (title ? TITLE_H : 0) + spacing / 2;
+  const pos = new Map(slots.map((s) => [s.id, {
+    x: originX + (s.x - bounds.minX) * spacing,
+    y: originY + (s.y - bounds.minY) * spacing,
+  }]));
+
+  // Grips under the people
+  ctx.strokeStyle = '#9ca3af';
+  ctx.lineWidth = 3;
+  ctx.setLineDash([6, 4]);
+  for (const [a, b] of grips) {
+    const p = pos.get(a);
+    const q = pos.get(b);
+    if (!p || !q) continue;
+    ctx.beginPath();
+    ctx.moveTo(p.x, p.y);
+    ctx.lineTo(q.x, q.y);
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+
+  // People with slot number and name
+  ctx.font = 'bold 12px sans-serif';
+  for (const s of slots) {
+    const p = pos.get(s.id);
+    drawParachutePerson(ctx, p.x, p.y, PERSON_SIZE, s.color);
+    ctx.fillStyle = '#222';
+    ctx.fillText(s.name ? `${s.number} \u00b7 ${s.name}` : String(s.number), p.x, p.y + PERSON_SIZE / 2 + 14);
   }
+}
+
+/** Bounding box in cells of the given slots. */
+function slotBounds(slots) {
+  const xs = slots.map((s) => s.x);
+  const ys = slots.map((s) => s.y);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * Render the current point as a diagram and download it as a PNG, or as
+ * an SVG that scales to any print size.
+ * @param {Formation} formation
+ * @param {'png'|'svg'} [format]
+ */
+export function renderFormation(formation, format = 'png') {
+  const slots = formation.slots;
+  if (slots.length === 0) return;
+  const i = formation.pointIndex;
+  const title = formation.pointCount > 1 ? `${formation.name} \u2014 ${formation.pointLabel(i)}` : formation.name;
+  const bounds = slotBounds(slots);
+  const { width, height } = diagramSize(bounds, true);
+  const name = baseName(formation.name, 'formation');
 
-  // Draw people
-  for (const pos of positions) {
-    drawParachutePerson(ctx, pos.x, pos.y, personSize);
+  if (format === 'svg') {
+    const ctx = new VectorContext();
+    paintDiagram(ctx, slots, formation.grips, bounds, title);
+    downloadBlob(new Blob([ctx.toSVG(width, height)], { type: 'image/svg+xml' }), `${name}.svg`);
+    return;
   }
 
-  // Export as PNG download
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  paintDiagram(canvas.getContext('2d'), slots, formation.grips, bounds, title);
   canvas.toBlob((blob) => {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'formation.png';
-    a.click();
-    URL.revokeObjectURL(url);
+    if (blob) downloadBlob(blob, `${name}.png`);
   }, 'image/png');
 }
+
+/* ── Dive sheet ── */
+
+const SHEET_MARGIN = 36;       // pt
+const SHEET_HEADER_H = 64;
+const ROSTER_COL_W = 140;
+const ROSTER_ROW_H = 14;
+const ROSTER_MAX_COLS = 3;
+
+/**
+ * Download a print-ready briefing PDF: one A4 landscape page per point with
+ * the dive name, date, jumper list and the formation as vector art. All
+ * pages share one scale and origin. Built entirely in the browser.
+ * @param {Formation} formation
+ */
+export function renderDiveSheet(formation) {
+  const n = formation.pointCount;
+  const all = [];
+  for (let i = 0; i < n; i++) all.push(...formation.slotsAt(i));
+  if (all.length === 0) return;
+  const bounds = slotBounds(all);
+  const diagram = diagramSize(bounds, false);
+  const jumpers = [...formation.slotsAt(0)].sort((a, b) => a.number - b.number);
+  const date = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+  const { width: pageW, height: pageH } = A4_LANDSCAPE;
+  const pdf = new PdfDocument();
+  for (let i = 0; i < n; i++) {
+    pdf.addPage(pageW, pageH);
+    const ctx = new VectorContext();
+    paintSheetHeader(ctx, formation, i, date, pageW);
+    const rosterW = paintRoster(ctx, jumpers, SHEET_MARGIN, SHEET_MARGIN + SHEET_HEADER_H, pageH - SHEET_MARGIN);
+
+    // Formation fills the rest of the page
+    const left = SHEET_MARGIN + rosterW + 24;
+    const top = SHEET_MARGIN + SHEET_HEADER_H;
+    const areaW = pageW - SHEET_MARGIN - left;
+    const areaH = pageH - SHEET_MARGIN - top;
+    const scale = Math.min(areaW / diagram.width, areaH / diagram.height);
+    ctx.save();
+    ctx.translate(left + (areaW - diagram.width * scale) / 2, top + (areaH - diagram.height * scale) / 2);
+    ctx.scale(scale, scale);
+    paintDiagram(ctx, formation.slotsAt(i), formation.gripsAt(i), bounds);
+    ctx.restore();
+    ctx.drawToPdf(pdf);
+  }
+  downloadBlob(pdf.toBlob(), `${baseName(formation.name, 'formation')}_sheet.pdf`);
+}
+
+/** Dive name and date, the point being flown, and a rule underneath. */
+function paintSheetHeader(ctx, formation, i, date, pageW) {
+  const right = pageW - SHEET_MARGIN;
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = '#111';
+  ctx.font = 'bold 20px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.fillText(formation.name, SHEET_MARGIN, SHEET_MARGIN);
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillStyle = '#555';
+  ctx.fillText(date, right, SHEET_MARGIN + 4);
+  ctx.font = '13px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#333';
+  ctx.fillText(`Point ${i + 1} of ${formation.pointCount}: ${formation.pointLabel(i)}`, SHEET_MARGIN, SHEET_MARGIN + 28);
+
+  ctx.strokeStyle = '#9ca3af';
+  ctx.lineWidth = 0.75;
+  ctx.beginPath();
+  ctx.moveTo(SHEET_MARGIN, SHEET_MARGIN + SHEET_HEADER_H - 12);
+  ctx.lineTo(right, SHEET_MARGIN + SHEET_HEADER_H - 12);
+  ctx.stroke();
+}
+
+/**
+ * Jumper list in up to ROSTER_MAX_COLS columns; rows shrink when even that
+ * isn't enough. Returns the width used.
+ */
+function paintRoster(ctx, jumpers, x, top, bottom) {
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#111';
+  ctx.font = 'bold 11px sans-serif';
+  ctx.fillText(`Jumpers (${jumpers.length})`, x, top);
+
+  const listTop = top + 20;
+  const fit = Math.max(1, Math.floor((bottom - listTop) / ROSTER_ROW_H));
+  const cols = Math.min(ROSTER_MAX_COLS, Math.ceil(jumpers.length / fit));
+  const perCol = Math.ceil(jumpers.length / cols);
+  const rowH = Math.min(ROSTER_ROW_H, (bottom - listTop) / perCol);
+  const size = rowH * 0.7;
+
+  jumpers.forEach((j, k) => {
+    const cx = x + Math.floor(k / perCol) * ROSTER_COL_W;
+    const cy = listTop + (k % perCol) * rowH;
+    ctx.fillStyle = j.color;
+    ctx.fillRect(cx, cy, size, size);
+    ctx.fillStyle = '#111';
+    ctx.font = `bold ${size}px sans-serif`;
+    ctx.fillText(String(j.number), cx + size + 5, cy);
+    ctx.font = `${size}px sans-serif`;
+    ctx.fillText(j.name || '\u2014', cx + size * 3 + 8, cy);
+  });
+  return cols * ROSTER_COL_W;
+}
@@ -1,12 +1,23 @@
 /**
  * Gestures — pointer drag, touch pinch-to-zoom, touch rotation on canvas.
  * Port of gesture handling in GridOverlayView.swift.
+ * Acts on the selected layer; locked or hidden layers ignore gestures.
+ * On a perspective grid, dragging a corner handle moves that corner.
  */
+
+import { cornersOnScreen, screenToLocal, HANDLE_RADIUS } from './grid-geometry.js';
+
+/** Extra slop around a corner handle for hit-testing, in CSS pixels. */
+const HANDLE_SLOP = 5;
 export class Gestures {
   /** @type {HTMLCanvasElement} */
   #canvas;
-  /** @type {import('./grid-config.js').GridConfiguration} */
-  #config;
+  /** @type {import('./layers.js').LayerStack} */
+  #layers;
+  /** @type {import('./history.js').EditHistory|null} */
+  #history;
+  /** @type {import('./grid-renderer.js').GridRenderer|null} */
+  #gridRenderer;
 
   // Drag state
   #dragging = false;
@@ -14,6 +25,8 @@ export class Gestures {
   #dragStartY = 0;
   #configStartX = 0;
   #configStartY = 0;
+  /** Index of the perspective corner being dragged, or -1. */
+  #dragCorner = -1;
 
   // Touch pinch/rotate state
   #touchIds = [];
@@ -24,11 +37,15 @@ export class Gestures {
 
   /**
    * @param {HTMLCanvasElement} canvas
-   * @param {import('./grid-config.js').GridConfiguration} config
+   * @param {import('./layers.js').LayerStack} layers
+   * @param {import('./history.js').EditHistory} [history] records each gesture as one undo step
+   * @param {import('./grid-renderer.js').GridRenderer} [gridRenderer] where the grid is drawn, for hit-testing
    */
-  constructor(canvas, config) {
+  constructor(canvas, layers, history = null, gridRenderer = null) {
     this.#canvas = canvas;
-    this.#config = config;
+    this.#layers = layers;
+    this.#history = history;
+    this.#gridRenderer = gridRenderer;
 
     // Pointer (mouse) drag
     canvas.addEventListener('pointerdown', this.#onPointerDown);
@@ -44,35 +61,65 @@ export class Gestures {
     canvas.addEventListener('wheel', this.#onWheel, { passive: false });
   }
 
+  /** Config of the selected layer. */
+  get #config() { return this.#layers.selected.config; }
+
+  /** The selected layer as it is drawn, which can be offset from its config. */
+  get #drawn() { return this.#gridRenderer?.propsAt(this.#layers.selected) ?? this.#config; }
+
+  /** Whether the selected layer accepts gestures. */
+  get #editable() {
+    const layer = this.#layers.selected;
+    return layer.visible && !layer.locked;
+  }
+
   /* ── Pointer Drag ── */
 
   #onPointerDown = (e) => {
     if (e.pointerType === 'touch') return; // handled by touch events
+    if (!this.#editable) return;
+    this.#dragCorner = this.#hitCorner(e);
     this.#dragging = true;
     this.#dragStartX = e.clientX;
     this.#dragStartY = e.clientY;
     this.#configStartX = this.#config.positionX;
     this.#configStartY = this.#config.positionY;
     this.#canvas.setPointerCapture(e.pointerId);
+    this.#history?.begin('drag');
   };
 
   #onPointerMove = (e) => {
-    if (!this.#dragging) return;
+    if (!this.#dragging) {
+      if (e.target === this.#canvas) {
+        this.#canvas.style.cursor = this.#hitCorner(e) >= 0 ? 'grab' : '';
+      }
+      return;
+    }
+    if (this.#dragCorner >= 0) {
+      this.#moveCorner(e);
+      return;
+    }
     const dx = e.clientX - this.#dragStartX;
     const dy = e.clientY - this.#dragStartY;
-    this.#config.positionX = this.#configStartX + dx;
-    this.#config.positionY = this.#configStartY + dy;
+    this.#edit('Move grid', 'drag', () => {
+      this.#config.update({
+        positionX: this.#configStartX + dx,
+        positionY: this.#configStartY + dy,
+      });
+    });
   };
 
   #onPointerUp = (e) => {
     if (!this.#dragging) return;
     this.#dragging = false;
+    this.#dragCorner = -1;
+    this.#history?.commit();
   };
 
   /* ── Touch Pinch & Rotate ── */
 
   #onTouchStart = (e) => {
-    if (e.touches.length === 2) {
+    if (e.touches.length === 2 && this.#editable) {
       e.preventDefault();
       this.#touchIds = [e.touches[0].identifier, e.touches[1].identifier];
       const [t0, t1] = [e.touches[0], e.touches[1]];
@@ -80,6 +127,7 @@ export class Gestures {
       this.#initialCellSize = this.#config.cellSize;
       this.#initialAngle = this.#angle(t0, t1);
       this.#initialRotation = this.#config.rotation;
+      this.#history?.begin('pinch');
     }
   };
 
@@ -90,20 +138,23 @@ export class Gestures {
     if (!t0 || !t1) return;
     e.preventDefault();
 
-    // Pinch → cell size
-    const dist = this.#dist(t0, t1);
-    if (this.#initialPinchDist > 0) {
-      const scale = dist / this.#initialPinchDist;
-      this.#config.cellSize = this.#initialCellSize * scale; // setter clamps
-    }
-
-    // Rotation
-    const angle = this.#angle(t0, t1);
-    const deltaDeg = (angle - this.#initialAngle) * (180 / Math.PI);
-    this.#config.rotation = this.#initialRotation + deltaDeg; // setter clamps
+    this.#edit('Pinch grid', 'pinch', () => {
+      // Pinch → cell size
+      const dist = this.#dist(t0, t1);
+      if (this.#initialPinchDist > 0) {
+        const scale = dist / this.#initialPinchDist;
+        this.#config.cellSize = this.#initialCellSize * scale; // setter clamps
+      }
+
+      // Rotation
+      const angle = this.#angle(t0, t1);
+      const deltaDeg = (angle - this.#initialAngle) * (180 / Math.PI);
+      this.#config.rotation = this.#initialRotation + deltaDeg; // setter clamps
+    });
   };
 
   #onTouchEnd = () => {
+    if (this.#touchIds.length > 0) this.#history?.commit();
     this.#touchIds = [];
   };
 
@@ -111,15 +162,47 @@ export class Gestures {
 
   #onWheel = (e) => {
     e.preventDefault();
-    if (e.ctrlKey) {
+    if (e.ctrlKey && this.#editable) {
       // Trackpad pinch gesture: adjust cell size
       const delta = -e.deltaY * 0.5;
-      this.#config.cellSize = this.#config.cellSize + delta;
+      // No end event for wheel; the history's merge window groups the burst
+      this.#edit('Scale grid', 'wheel', () => {
+        this.#config.cellSize = this.#config.cellSize + delta;
+      });
     }
   };
 
   /* ── Helpers ── */
 
+  /** Index of the perspective corner handle under the pointer, or -1. */
+  #hitCorner(e) {
+    if (this.#config.gridType !== 'perspective' || !this.#editable) return -1;
+    const rect = this.#canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    const corners = cornersOnScreen(this.#drawn, rect.width, rect.height);
+    return corners.findIndex((c) => Math.hypot(c.x - x, c.y - y) <= HANDLE_RADIUS + HANDLE_SLOP);
+  }
+
+  /** @param {PointerEvent} e */
+  #moveCorner(e) {
+    const cfg = this.#config;
+    const rect = this.#canvas.getBoundingClientRect();
+    const local = screenToLocal(this.#drawn, rect.width, rect.height, e.clientX - rect.left, e.clientY - rect.top);
+    const i = this.#dragCorner;
+    this.#edit('Move corner', 'drag', () => {
+      const corners = cfg.corners;
+      corners[i] = local;
+      cfg.corners = corners;
+    });
+  }
+
+  /** Apply a gesture step, merged into one undo entry per gesture. */
+  #edit(label, mergeKey, fn) {
+    if (this.#history) this.#history.record(this.#config, fn, { label, mergeKey });
+    else fn();
+  }
+
   /** @param {Touch} a @param {Touch} b */
   #dist(a, b) {
     const dx = a.clientX - b.clientX;
@@ -2,11 +2,35 @@
  * GridConfiguration — observable state object for grid parameters.
  * Port of GridConfiguration.swift.
  */
+
+/** Colors are stored as #rrggbb, the format <input type="color"> uses. */
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const GRID_TYPES = ['square', 'radial', 'hex', 'perspective'];
+
+/** Real-world units a grid can be calibrated in. */
+export const DISTANCE_UNITS = ['m', 'cm', 'ft', 'in'];
+
+/** Perspective quad corners (TL, TR, BR, BL) relative to the grid center. */
+const DEFAULT_CORNERS = [
+  { x: -150, y: -100 }, { x: 150, y: -100 },
+  { x: 210, y: 120 }, { x: -210, y: 120 },
+];
+
+/** Persistable properties, in the order toJSON() writes them. */
+export const CONFIG_KEYS = [
+  'gridType', 'gridN', 'cellSize', 'rotation', 'positionX', 'positionY',
+  'ringCount', 'spokeCount', 'corners',
+  'lineColor', 'lineWidth', 'lineOpacity',
+  'cellDistance', 'distanceUnit',
+];
+
 export class GridConfiguration {
   /** @type {Set<Function>} */
   #listeners = new Set();
 
   // Backing fields
+  #gridType = 'square';
   #gridN = 4;
   #cellSize = 60;
   #rotation = 0;       // degrees
@@ -15,11 +39,29 @@ export class GridConfiguration {
   #lineColor = '#00ff00';
   #lineWidth = 1.5;
   #lineOpacity = 0.8;
+  #ringCount = 4;      // radial
+  #spokeCount = 8;     // radial
+  #corners = DEFAULT_CORNERS.map((c) => ({ ...c })); // perspective
+  #cellDistance = 0;   // real-world length of one cell; 0 = not calibrated
+  #distanceUnit = 'm';
+
+  // update() batching
+  #batching = false;
+  #pending = false;
 
   /* ── Getters / Setters with clamping ── */
 
+  /** 'square' | 'radial' | 'hex' | 'perspective' */
+  get gridType() { return this.#gridType; }
+  set gridType(v) {
+    if (!GRID_TYPES.includes(v)) return;
+    this.#gridType = v;
+    this.#notify();
+  }
+
   get gridN() { return this.#gridN; }
   set gridN(v) {
+    if (!Number.isFinite(v)) return;
     this.#gridN = Math.max(1, Math.min(128, Math.round(v)));
     this.#notify();
   }
@@ -29,6 +71,7 @@ export class GridConfiguration {
 
   get cellSize() { return this.#cellSize; }
   set cellSize(v) {
+    if (!Number.isFinite(v)) return;
     this.#cellSize = Math.max(10, Math.min(400, v));
     this.#notify();
   }
@@ -38,46 +81,124 @@ export class GridConfiguration {
 
   get rotation() { return this.#rotation; }
   set rotation(v) {
+    if (!Number.isFinite(v)) return;
     this.#rotation = Math.max(-180, Math.min(180, v));
     this.#notify();
   }
 
   get positionX() { return this.#positionX; }
-  set positionX(v) { this.#positionX = v; this.#notify(); }
+  set positionX(v) {
+    if (!Number.isFinite(v)) return;
+    this.#positionX = v;
+    this.#notify();
+  }
 
   get positionY() { return this.#positionY; }
-  set positionY(v) { this.#positionY = v; this.#notify(); }
+  set positionY(v) {
+    if (!Number.isFinite(v)) return;
+    this.#positionY = v;
+    this.#notify();
+  }
 
   get lineColor() { return this.#lineColor; }
-  set lineColor(v) { this.#lineColor = v; this.#notify(); }
+  set lineColor(v) {
+    if (!HEX_COLOR.test(v)) return;
+    this.#lineColor = v;
+    this.#notify();
+  }
 
   get lineWidth() { return this.#lineWidth; }
   set lineWidth(v) {
+    if (!Number.isFinite(v)) return;
     this.#lineWidth = Math.max(0.5, Math.min(5, v));
     this.#notify();
   }
 
   get lineOpacity() { return this.#lineOpacity; }
   set lineOpacity(v) {
+    if (!Number.isFinite(v)) return;
     this.#lineOpacity = Math.max(0.1, Math.min(1, v));
     this.#notify();
   }
 
+  /** Radial: number of concentric rings, `cellSize` apart. */
+  get ringCount() { return this.#ringCount; }
+  set ringCount(v) {
+    if (!Number.isFinite(v)) return;
+    this.#ringCount = Math.max(1, Math.min(64, Math.round(v)));
+    this.#notify();
+  }
+
+  /** Radial: number of spokes (0 for rings only). */
+  get spokeCount() { return this.#spokeCount; }
+  set spokeCount(v) {
+    if (!Number.isFinite(v)) return;
+    this.#spokeCount = Math.max(0, Math.min(72, Math.round(v)));
+    this.#notify();
+  }
+
+  /** Perspective: copies of the four quad corners (TL, TR, BR, BL), grid-local px. */
+  get corners() { return this.#corners.map((c) => ({ ...c })); }
+  set corners(v) {
+    if (!Array.isArray(v) || v.length !== 4) return;
+    if (!v.every((c) => c && Number.isFinite(c.x) && Number.isFinite(c.y))) return;
+    this.#corners = v.map((c) => ({ x: c.x, y: c.y }));
+    this.#notify();
+  }
+
+  /**
+   * Calibration: how long one cell is in the real world, in `distanceUnit`,
+   * e.g. 1 for "one cell = 1 m at this frame". 0 when not calibrated.
+   */
+  get cellDistance() { return this.#cellDistance; }
+  set cellDistance(v) {
+    if (!Number.isFinite(v)) return;
+    this.#cellDistance = Math.max(0, Math.min(100000, v));
+    this.#notify();
+  }
+
+  get distanceUnit() { return this.#distanceUnit; }
+  set distanceUnit(v) {
+    if (!DISTANCE_UNITS.includes(v)) return;
+    this.#distanceUnit = v;
+    this.#notify();
+  }
+
   /* ── Methods ── */
 
+  resetCorners() {
+    this.#corners = DEFAULT_CORNERS.map((c) => ({ ...c }));
+    this.#notify();
+  }
+
   centerGrid() {
     this.#positionX = 0;
     this.#positionY = 0;
     this.#notify();
   }
 
-  /** Batch-update multiple properties without firing per-property. */
+  /** Batch-update multiple properties, firing a single change notification. */
   update(props) {
-    for (const [key, value] of Object.entries(props)) {
-      // Use setters so clamping applies
-      if (key in this) this[key] = value;
+    this.#batching = true;
+    try {
+      for (const [key, value] of Object.entries(props)) {
+        // Use setters so clamping applies; unknown keys are ignored
+        if (CONFIG_KEYS.includes(key)) this[key] = value;
+      }
+    } finally {
+      this.#batching = false;
     }
-    // setters already notified individually; that's fine for simplicity
+    if (this.#pending) {
+      this.#pending = false;
+      this.#notify();
+    }
+  }
+
+  /** Plain snapshot of the persistable properties (for presets and sessions). */
+  toJSON() {
+    const out = {};
+    for (const key of CONFIG_KEYS) out[key] = this[key];
+    return out;
   }
 
   /* ── Observer pattern ── */
@@ -89,6 +210,11 @@ export class GridConfiguration {
   }
 
   #notify() {
+    // Inside update(), defer to one notification at the end
+    if (this.#batching) {
+      this.#pending = true;
+      return;
+    }
     for (const fn of this.#listeners) fn(this);
   }
 }
@@ -0,0 +1,243 @@
+/**
+ * Grid geometry — the shapes for every grid type, shared by the live canvas
+ * (GridRenderer) and every export path that composites the grid.
+ *
+ * Shapes are in the grid's local frame: origin at the grid center, before
+ * rotation, in CSS pixels. drawGrid() places them at
+ * (width / 2 + positionX, height / 2 + positionY) and rotates by `rotation`.
+ */
+
+/**
+ * @typedef {{type: 'line', x1: number, y1: number, x2: number, y2: number}
+ *   | {type: 'circle', cx: number, cy: number, r: number}} GridShape
+ *
+ * @typedef {{
+ *   gridType: string, gridN: number, cellSize: number, rotation: number,
+ *   positionX: number, positionY: number, ringCount: number, spokeCount: number,
+ *   corners: {x: number, y: number}[],
+ *   lineColor: string, lineWidth: number, lineOpacity: number
+ * }} GridProps
+ */
+
+/** Corner handle radius for the perspective grid, in CSS pixels. */
+export const HANDLE_RADIUS = 7;
+
+/**
+ * @param {GridProps} props
+ * @returns {GridShape[]}
+ */
+export function gridShapes(props) {
+  switch (props.gridType) {
+    case 'radial': return radialShapes(props);
+    case 'hex': return hexShapes(props);
+    case 'perspective': return perspectiveShapes(props);
+    default: return squareShapes(props);
+  }
+}
+
+/**
+ * Stroke the grid onto a canvas context of the given CSS size.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {GridProps} props
+ * @param {number} width
+ * @param {number} height
+ */
+export function drawGrid(ctx, props, width, height) {
+  ctx.save();
+  applyGridTransform(ctx, props, width, height);
+
+  ctx.strokeStyle = props.lineColor;
+  ctx.lineWidth = props.lineWidth;
+  ctx.globalAlpha = props.lineOpacity;
+
+  ctx.beginPath();
+  tracePath(ctx, gridShapes(props));
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draw the draggable corner handles of a perspective grid.
+ * Live canvas only — never part of an export.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {GridProps} props
+ * @param {number} width
+ * @param {number} height
+ */
+export function drawCornerHandles(ctx, props, width, height) {
+  ctx.save();
+  ctx.fillStyle = '#fff';
+  ctx.strokeStyle = props.lineColor;
+  ctx.lineWidth = 2;
+  for (const p of cornersOnScreen(props, width, height)) {
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, HANDLE_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+/** Translate to the grid center and rotate. */
+export function applyGridTransform(ctx, props, width, height) {
+  ctx.translate(width / 2 + props.positionX, height / 2 + props.positionY);
+  ctx.rotate(props.rotation * Math.PI / 180);
+}
+
+/** Add shapes to the current path of `ctx` (no stroke). */
+export function tracePath(ctx, shapes) {
+  for (const s of shapes) {
+    if (s.type === 'line') {
+      ctx.moveTo(s.x1, s.y1);
+      ctx.lineTo(s.x2, s.y2);
+    } else {
+      ctx.moveTo(s.cx + s.r, s.cy);
+      ctx.arc(s.cx, s.cy, s.r, 0, Math.PI * 2);
+    }
+  }
+}
+
+/* ── Coordinate conversion ── */
+
+/** Grid-local point → canvas CSS pixels. */
+export function localToScreen(props, width, height, x, y) {
+  const rot = props.rotation * Math.PI / 180;
+  const cos = Math.cos(rot);
+  const sin = Math.sin(rot);
+  return {
+    x: width / 2 + props.positionX + x * cos - y * sin,
+    y: height / 2 + props.positionY + x * sin + y * cos,
+  };
+}
+
+/** Canvas CSS pixels → grid-local point. */
+export function screenToLocal(props, width, height, x, y) {
+  const rot = props.rotation * Math.PI / 180;
+  const cos = Math.cos(rot);
+  const sin = Math.sin(rot);
+  const dx = x - (width / 2 + props.positionX);
+  const dy = y - (height / 2 + props.positionY);
+  return { x: dx * cos + dy * sin, y: -dx * sin + dy * cos };
+}
+
+/** Perspective corners in canvas CSS pixels (TL, TR, BR, BL). */
+export function cornersOnScreen(props, width, height) {
+  return props.corners.map((c) => localToScreen(props, width, height, c.x, c.y));
+}
+
+/**
+ * Projective map from the unit square onto a quad (Heckbert's square-to-quad).
+ * Corners are TL, TR, BR, BL for (0,0), (1,0), (1,1), (0,1).
+ * Returns null when the quad is degenerate.
+ * @param {{x: number, y: number}[]} corners
+ * @returns {((u: number, v: number) => {x: number, y: number})|null}
+ */
+export function homography(corners) {
+  const [p0, p1, p2, p3] = corners;
+  const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x, dx3 = p0.x - p1.x + p2.x - p3.x;
+  const dy1 = p1.y - p2.y, dy2 = p3.y - p2.y, dy3 = p0.y - p1.y + p2.y - p3.y;
+
+  let a, b, d, e, g, h;
+  if (Math.abs(dx3) < 1e-9 && Math.abs(dy3) < 1e-9) {
+    // Parallelogram: plain affine map
+    a = p1.x - p0.x; b = p3.x - p0.x;
+    d = p1.y - p0.y; e = p3.y - p0.y;
+    g = 0; h = 0;
+  } else {
+    const det = dx1 * dy2 - dx2 * dy1;
+    if (Math.abs(det) < 1e-9) return null;
+    g = (dx3 * dy2 - dx2 * dy3) / det;
+    h = (dx1 * dy3 - dx3 * dy1) / det;
+    a = p1.x - p0.x + g * p1.x; b = p3.x - p0.x + h * p3.x;
+    d = p1.y - p0.y + g * p1.y; e = p3.y - p0.y + h * p3.y;
+  }
+  const c = p0.x;
+  const f = p0.y;
+
+  return (u, v) => {
+    const w = g * u + h * v + 1;
+    return { x: (a * u + b * v + c) / w, y: (d * u + e * v + f) / w };
+  };
+}
+
+/* ── Shapes per grid type ── */
+
+function squareShapes(props) {
+  const n = Math.max(1, props.gridN);
+  const cell = props.cellSize;
+  const half = (n * cell) / 2;
+  const shapes = [];
+  // Vertical then horizontal lines (N+1 each)
+  for (let i = 0; i <= n; i++) {
+    const x = i * cell - half;
+    shapes.push({ type: 'line', x1: x, y1: -half, x2: x, y2: half });
+  }
+  for (let i = 0; i <= n; i++) {
+    const y = i * cell - half;
+    shapes.push({ type: 'line', x1: -half, y1: y, x2: half, y2: y });
+  }
+  return shapes;
+}
+
+/** Concentric rings `cellSize` apart with spokes out to the outer ring. */
+function radialShapes(props) {
+  const rings = Math.max(1, props.ringCount);
+  const spacing = props.cellSize;
+  const outer = rings * spacing;
+  const shapes = [];
+  for (let i = 1; i <= rings; i++) {
+    shapes.push({ type: 'circle', cx: 0, cy: 0, r: i * spacing });
+  }
+  // First spoke points straight up
+  for (let k = 0; k < props.spokeCount; k++) {
+    const a = (k / props.spokeCount) * Math.PI * 2 - Math.PI / 2;
+    shapes.push({ type: 'line', x1: 0, y1: 0, x2: Math.cos(a) * outer, y2: Math.sin(a) * outer });
+  }
+  return shapes;
+}
+
+/** N×N pointy-top hexagons, `cellSize` across the flats, odd rows offset. */
+function hexShapes(props) {
+  const n = Math.max(1, props.gridN);
+  const w = props.cellSize;
+  const r = w / Math.sqrt(3);       // center → vertex
+  const rowStep = r * 1.5;
+  const totalW = n * w + (n > 1 ? w / 2 : 0);
+  const totalH = (n - 1) * rowStep + 2 * r;
+  const originX = -totalW / 2 + w / 2;
+  const originY = -totalH / 2 + r;
+
+  const shapes = [];
+  for (let row = 0; row < n; row++) {
+    for (let col = 0; col < n; col++) {
+      const cx = originX + col * w + (row % 2 ? w / 2 : 0);
+      const cy = originY + row * rowStep;
+      for (let k = 0; k < 6; k++) {
+        const a0 = Math.PI / 6 + (k * Math.PI) / 3;
+        const a1 = a0 + Math.PI / 3;
+        shapes.push({
+          type: 'line',
+          x1: cx + r * Math.cos(a0), y1: cy + r * Math.sin(a0),
+          x2: cx + r * Math.cos(a1), y2: cy + r * Math.sin(a1),
+        });
+      }
+    }
+  }
+  return shapes;
+}
+
+/** N×N lattice projected onto the quad spanned by the four corners. */
+function perspectiveShapes(props) {
+  const map = homography(props.corners);
+  if (!map) return [];
+  const n = Math.max(1, props.gridN);
+  const shapes = [];
+  for (let i = 0; i <= n; i++) {
+    const t = i / n;
+    const a = map(t, 0), b = map(t, 1);
+    shapes.push({ type: 'line', x1: a.x, y1: a.y, x2: b.x, y2: b.y });
+    const c = map(0, t), d = map(1, t);
+    shapes.push({ type: 'line', x1: c.x, y1: c.y, x2: d.x, y2: d.y });
+  }
+  return shapes;
+}
@@ -1,31 +1,50 @@
 /**
- * GridRenderer — draws the N×N grid on a <canvas>.
+ * GridRenderer — draws every visible overlay layer on a <canvas>.
  * Port of the Canvas drawing in GridOverlayView.swift.
+ * Geometry for each grid type lives in grid-geometry.js.
  */
+
+import { drawGrid, drawCornerHandles } from './grid-geometry.js';
+
 export class GridRenderer {
   /** @type {HTMLCanvasElement} */
   #canvas;
   /** @type {CanvasRenderingContext2D} */
   #ctx;
-  /** @type {import('./grid-config.js').GridConfiguration} */
-  #config;
+  /** @type {import('./layers.js').LayerStack} */
+  #layers;
   /** @type {number} */
   #rafId = 0;
   /** @type {ResizeObserver} */
   #resizeObserver;
   #needsDraw = true;
+  /** @type {(() => number|null)|null} */
+  #getTime = null;
+  /** @type {WeakMap<import('./layers.js').Layer, number>} playhead time each layer was last sampled at */
+  #appliedAt = new WeakMap();
+  /** @type {WeakSet<import('./layers.js').Layer>} */
+  #watched = new WeakSet();
+  #handles;
+  /** Added to every layer's position when drawn; see setOffset(). */
+  #offset = { x: 0, y: 0 };
 
   /**
    * @param {HTMLCanvasElement} canvas
-   * @param {import('./grid-config.js').GridConfiguration} config
+   * @param {import('./layers.js').LayerStack} layers
+   * @param {{handles?: boolean}} [opts] handles: false for a mirror of the grid that can't be edited
    */
-  constructor(canvas, config) {
+  constructor(canvas, layers, { handles = true } = {}) {
     this.#canvas = canvas;
+    this.#handles = handles;
     this.#ctx = canvas.getContext('2d');
-    this.#config = config;
+    this.#layers = layers;
 
-    // Redraw on config change
-    config.onChange(() => { this.#needsDraw = true; });
+    // Redraw on any layer change
+    layers.onChange(() => {
+      this.#needsDraw = true;
+      this.#watchKeyframes();
+    });
+    this.#watchKeyframes();
 
     // Handle resize
     this.#resizeObserver = new ResizeObserver(() => {
@@ -51,94 +70,109 @@ export class GridRenderer {
   /** requestAnimationFrame loop — only redraws when needed. */
   #loop() {
     this.#rafId = requestAnimationFrame(() => this.#loop());
+    this.#applyTimeline();
     if (!this.#needsDraw) return;
     this.#needsDraw = false;
     this.#draw();
   }
 
+  /** Re-sample a layer after its keyframes are added or removed. */
+  #watchKeyframes() {
+    for (const layer of this.#layers.layers) {
+      if (this.#watched.has(layer)) continue;
+      this.#watched.add(layer);
+      layer.keyframes.onChange(() => this.#appliedAt.delete(layer));
+    }
+  }
+
+  /**
+   * Animate each layer's config from its keyframe track whenever the
+   * playhead moves. Applies through GridConfiguration.update so the sidebar
+   * follows along.
+   */
+  #applyTimeline() {
+    if (!this.#getTime) return;
+    const t = this.#getTime();
+    if (t == null) return;
+    for (const layer of this.#layers.layers) {
+      if (layer.keyframes.length === 0 || this.#appliedAt.get(layer) === t) continue;
+      this.#appliedAt.set(layer, t);
+      layer.config.update(layer.keyframes.sample(t));
+    }
+  }
+
   #draw() {
     const ctx = this.#ctx;
     const w = this.#canvas.clientWidth;
     const h = this.#canvas.clientHeight;
-    const cfg = this.#config;
 
     ctx.clearRect(0, 0, w, h);
-
-    const n = cfg.effectiveN;
-    const cell = cfg.cellSize;
-    const total = n * cell;
-    const rot = cfg.rotation * Math.PI / 180;
-
-    ctx.save();
-
-    // Translate to center + user offset
-    ctx.translate(w / 2 + cfg.positionX, h / 2 + cfg.positionY);
-    // Rotate
-    ctx.rotate(rot);
-    // Translate so grid is centered
-    ctx.translate(-total / 2, -total / 2);
-
-    // Parse color
-    ctx.strokeStyle = cfg.lineColor;
-    ctx.lineWidth = cfg.lineWidth;
-    ctx.globalAlpha = cfg.lineOpacity;
-
-    ctx.beginPath();
-
-    // Vertical lines (N+1)
-    for (let i = 0; i <= n; i++) {
-      const x = i * cell;
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, total);
+    for (const layer of this.#layers.visibleLayers) {
+      drawGrid(ctx, this.propsAt(layer), w, h);
     }
 
-    // Horizontal lines (N+1)
-    for (let i = 0; i <= n; i++) {
-      const y = i * cell;
-      ctx.moveTo(0, y);
-      ctx.lineTo(total, y);
+    // Corner handles only for the layer being edited
+    const sel = this.#layers.selected;
+    if (this.#handles && sel.visible && !sel.locked && sel.config.gridType === 'perspective') {
+      drawCornerHandles(ctx, this.propsAt(sel), w, h);
     }
-
-    ctx.stroke();
-    ctx.restore();
   }
 
   /**
-   * Draw the grid onto an arbitrary canvas context at given dimensions.
-   * Used by snapshot compositing.
+   * Draw all visible layers onto an arbitrary canvas context at given
+   * dimensions. Used by snapshot compositing and video export.
    * @param {CanvasRenderingContext2D} ctx
    * @param {number} width
    * @param {number} height
+   * @param {number} [time] video time in seconds; animates from the keyframe tracks when given
    */
-  drawTo(ctx, width, height) {
-    const cfg = this.#config;
-    const n = cfg.effectiveN;
-    const cell = cfg.cellSize;
-    const total = n * cell;
-    const rot = cfg.rotation * Math.PI / 180;
-
-    ctx.save();
-    ctx.translate(width / 2 + cfg.positionX, height / 2 + cfg.positionY);
-    ctx.rotate(rot);
-    ctx.translate(-total / 2, -total / 2);
-
-    ctx.strokeStyle = cfg.lineColor;
-    ctx.lineWidth = cfg.lineWidth;
-    ctx.globalAlpha = cfg.lineOpacity;
-
-    ctx.beginPath();
-    for (let i = 0; i <= n; i++) {
-      const x = i * cell;
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, total);
-    }
-    for (let i = 0; i <= n; i++) {
-      const y = i * cell;
-      ctx.moveTo(0, y);
-      ctx.lineTo(total, y);
+  drawTo(ctx, width, height, time) {
+    for (const layer of this.#layers.visibleLayers) {
+      drawGrid(ctx, this.propsAt(layer, time), width, height);
     }
-    ctx.stroke();
-    ctx.restore();
+  }
+
+  /**
+   * Grid properties to draw a layer at `time`: its config, with keyframed
+   * values when a time is given and the layer has keyframes, moved by the
+   * offset.
+   * @param {import('./layers.js').Layer} layer
+   * @param {number} [time]
+   * @returns {import('./grid-geometry.js').GridProps}
+   */
+  propsAt(layer, time) {
+    const anim = time != null ? layer.keyframes.sample(time) : null;
+    const props = { ...layer.config.toJSON(), ...anim };
+    props.positionX += this.#offset.x;
+    props.positionY += this.#offset.y;
+    return props;
+  }
+
+  /** @returns {{x: number, y: number}} */
+  get offset() {
+    return { ...this.#offset };
+  }
+
+  /**
+   * Draw every layer moved by (x, y) CSS px, leaving the configs alone: a
+   * per-photo nudge that undo/redo and saved sessions never see.
+   * @param {number} x
+   * @param {number} y
+   */
+  setOffset(x, y) {
+    if (x === this.#offset.x && y === this.#offset.y) return;
+    this.#offset = { x, y };
+    this.#needsDraw = true;
+  }
+
+  /**
+   * Bind the layers' keyframe tracks to a playhead. Configs are
+   * interpolated from their tracks as the playhead plays or seeks.
+   * @param {() => number|null} getTime current time in seconds, or null when there is no timeline
+   */
+  attachTimeline(getTime) {
+    this.#getTime = getTime;
+    this.#appliedAt = new WeakMap();
   }
 
   /** Force a redraw on next frame. */
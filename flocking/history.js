@@ -0,0 +1,138 @@
+/**
+ * EditHistory — undo/redo stack of state snapshots.
+ *
+ * A target is anything that can snapshot and restore itself through
+ * `toJSON()` and `update(state)` (GridConfiguration fits as-is). Each
+ * record() call stores the target's state before and after the edit.
+ * Consecutive edits with the same mergeKey on the same target merge into a
+ * single entry until commit() is called or the edits pause, so a drag, pinch
+ * or slider sweep undoes in one step. begin() keeps a run open through pauses
+ * until the matching commit().
+ */
+
+const MAX_ENTRIES = 200;
+/** Same-key edits further apart than this start a new entry. */
+const MERGE_WINDOW_MS = 800;
+
+/**
+ * @typedef {{toJSON(): any, update(state: any): void}} HistoryTarget
+ * @typedef {{target: HistoryTarget, before: any, after: any, label: string, mergeKey: string|null, time: number}} HistoryEntry
+ */
+
+export class EditHistory {
+  /** @type {Set<Function>} */
+  #listeners = new Set();
+  /** @type {HistoryEntry[]} */
+  #undoStack = [];
+  /** @type {HistoryEntry[]} */
+  #redoStack = [];
+  /** @type {HistoryEntry|null} entry that further same-key edits may merge into */
+  #open = null;
+  /** @type {string|null} mergeKey held open by begin() */
+  #held = null;
+
+  get canUndo() { return this.#undoStack.length > 0; }
+  get canRedo() { return this.#redoStack.length > 0; }
+  /** Label of the entry undo() would revert, or null. */
+  get undoLabel() { return this.#undoStack.at(-1)?.label ?? null; }
+  /** Label of the entry redo() would reapply, or null. */
+  get redoLabel() { return this.#redoStack.at(-1)?.label ?? null; }
+
+  /**
+   * Run `fn` and record the change it makes to `target` as one entry.
+   * @param {HistoryTarget} target
+   * @param {() => void} fn
+   * @param {{label?: string, mergeKey?: string}} [opts]
+   */
+  record(target, fn, { label = 'Edit', mergeKey = null } = {}) {
+    const now = performance.now();
+    const open = this.#open;
+    const merging = open !== null && mergeKey !== null
+      && open.mergeKey === mergeKey && open.target === target
+      && (this.#held === mergeKey || now - open.time < MERGE_WINDOW_MS);
+
+    const before = merging ? open.before : clone(target.toJSON());
+    fn();
+    const after = clone(target.toJSON());
+
+    if (merging) {
+      open.after = after;
+      open.time = now;
+      // A sweep that ends where it started is no edit at all
+      if (same(open.before, after)) {
+        this.#undoStack.pop();
+        this.#open = null;
+      }
+      this.#notify();
+      return;
+    }
+
+    if (same(before, after)) return;
+
+    const entry = { target, before, after, label, mergeKey, time: now };
+    this.#undoStack.push(entry);
+    if (this.#undoStack.length > MAX_ENTRIES) this.#undoStack.shift();
+    this.#redoStack = [];
+    this.#open = mergeKey !== null ? entry : null;
+    this.#notify();
+  }
+
+  /** Merge every `mergeKey` edit until commit(), however long it pauses. */
+  begin(mergeKey) {
+    this.#open = null;
+    this.#held = mergeKey;
+  }
+
+  /** End the current merge run (e.g. on pointerup or slider change). */
+  commit() {
+    this.#open = null;
+    this.#held = null;
+  }
+
+  undo() {
+    const entry = this.#undoStack.pop();
+    if (!entry) return;
+    this.commit();
+    entry.target.update(clone(entry.before));
+    this.#redoStack.push(entry);
+    this.#notify();
+  }
+
+  redo() {
+    const entry = this.#redoStack.pop();
+    if (!entry) return;
+    this.commit();
+    entry.target.update(clone(entry.after));
+    this.#undoStack.push(entry);
+    this.#notify();
+  }
+
+  clear() {
+    this.#undoStack = [];
+    this.#redoStack = [];
+    this.commit();
+    this.#notify();
+  }
+
+  /* ── Observer pattern ── */
+
+  /** Register a change listener. Returns an unsubscribe function. */
+  onChange(fn) {
+    this.#listeners.add(fn);
+    return () => this.#listeners.delete(fn);
+  }
+
+  #notify() {
+    for (const fn of this.#listeners) fn(this);
+  }
+}
+
+/* ── Helpers ── */
+
+function clone(state) {
+  return JSON.parse(JSON.stringify(state));
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,174 @@
+/**
+ * KeyframeTrack — observable list of grid keyframes on the video timeline.
+ * Each keyframe stores the animated grid properties at a timestamp (seconds);
+ * sample() linearly interpolates between neighbours.
+ */
+
+/** Grid properties that keyframes animate. */
+export const ANIMATED_PROPS = ['positionX', 'positionY', 'rotation', 'cellSize'];
+
+/** Two timestamps closer than this (≈ half a frame at 30 fps) are the same keyframe. */
+export const KEYFRAME_EPSILON = 1 / 60;
+
+/**
+ * @typedef {{time: number, positionX: number, positionY: number, rotation: number, cellSize: number}} Keyframe
+ */
+
+export class KeyframeTrack {
+  /** @type {Set<Function>} */
+  #listeners = new Set();
+  /** @type {Keyframe[]} sorted by time */
+  #keyframes = [];
+
+  /** Sorted copy of all keyframes. */
+  get keyframes() { return this.#keyframes.map((k) => ({ ...k })); }
+
+  get length() { return this.#keyframes.length; }
+
+  /**
+   * Add a keyframe, replacing any existing one at the same time.
+   * @param {number} time seconds
+   * @param {{positionX: number, positionY: number, rotation: number, cellSize: number}} props
+   */
+  set(time, props) {
+    const kf = { time: Math.max(0, time) };
+    for (const key of ANIMATED_PROPS) kf[key] = Number(props[key]) || 0;
+
+    const i = this.#indexAt(kf.time);
+    if (i >= 0) this.#keyframes[i] = kf;
+    else {
+      this.#keyframes.push(kf);
+      this.#keyframes.sort((a, b) => a.time - b.time);
+    }
+    this.#notify();
+  }
+
+  /** Remove the keyframe at `time`. Returns true if one was removed. */
+  remove(time) {
+    const i = this.#indexAt(time);
+    if (i < 0) return false;
+    this.#keyframes.splice(i, 1);
+    this.#notify();
+    return true;
+  }
+
+  /**
+   * Replace all keyframes, e.g. from a session file. Entries without a
+   * finite time and finite animated values are dropped.
+   * @param {unknown} list
+   */
+  load(list) {
+    const valid = (Array.isArray(list) ? list : []).filter((k) =>
+      k && Number.isFinite(k.time) && ANIMATED_PROPS.every((key) => Number.isFinite(k[key])));
+    this.#keyframes = valid
+      .map((k) => ({ time: Math.max(0, k.time), ...this.#props(k) }))
+      .sort((a, b) => a.time - b.time);
+    this.#notify();
+  }
+
+  /**
+   * Replace the keyframes from `start` to `end` (inclusive) with `list` in
+   * one change, e.g. a baked track. Keyframes outside the range are kept.
+   * @param {number} start seconds
+   * @param {number} end seconds
+   * @param {Keyframe[]} list
+   */
+  replaceRange(start, end, list) {
+    const kept = this.#keyframes.filter((k) =>
+      k.time < start - KEYFRAME_EPSILON || k.time > end + KEYFRAME_EPSILON);
+    const added = list.map((k) => ({ time: Math.max(0, k.time), ...this.#props(k) }));
+    this.#keyframes = [...kept, ...added].sort((a, b) => a.time - b.time);
+    this.#notify();
+  }
+
+  toJSON() {
+    return this.keyframes;
+  }
+
+  clear() {
+    if (this.#keyframes.length === 0) return;
+    this.#keyframes = [];
+    this.#notify();
+  }
+
+  /** Keyframe at `time` (within KEYFRAME_EPSILON), or null. */
+  at(time) {
+    const i = this.#indexAt(time);
+    return i >= 0 ? { ...this.#keyframes[i] } : null;
+  }
+
+  /** Nearest keyframe strictly before `time`, or null. */
+  previous(time) {
+    for (let i = this.#keyframes.length - 1; i >= 0; i--) {
+      if (this.#keyframes[i].time < time - KEYFRAME_EPSILON) return { ...this.#keyframes[i] };
+    }
+    return null;
+  }
+
+  /** Nearest keyframe strictly after `time`, or null. */
+  next(time) {
+    for (const kf of this.#keyframes) {
+      if (kf.time > time + KEYFRAME_EPSILON) return { ...kf };
+    }
+    return null;
+  }
+
+  /**
+   * Interpolated grid properties at `time`. Holds the first/last keyframe
+   * outside the keyed range. Returns null when the track is empty.
+   * @param {number} time seconds
+   */
+  sample(time) {
+    const kfs = this.#keyframes;
+    if (kfs.length === 0) return null;
+    if (time <= kfs[0].time) return this.#props(kfs[0]);
+    const last = kfs[kfs.length - 1];
+    if (time >= last.time) return this.#props(last);
+
+    let i = 1;
+    while (kfs[i].time < time) i++;
+    const a = kfs[i - 1];
+    const b = kfs[i];
+    const t = (time - a.time) / (b.time - a.time);
+
+    // Rotation takes the short way round so 170° → -170° passes through 180°
+    let dRot = b.rotation - a.rotation;
+    if (dRot > 180) dRot -= 360;
+    else if (dRot < -180) dRot += 360;
+    let rotation = a.rotation + dRot * t;
+    if (rotation > 180) rotation -= 360;
+    else if (rotation < -180) rotation += 360;
+
+    return {
+      positionX: a.positionX + (b.positionX - a.positionX) * t,
+      positionY: a.positionY + (b.positionY - a.positionY) * t,
+      rotation,
+      cellSize: a.cellSize + (b.cellSize - a.cellSize) * t,
+    };
+  }
+
+  /* ── Observer pattern ── */
+
+  /** Register a change listener. Returns an unsubscribe function. */
+  onChange(fn) {
+    this.#listeners.add(fn);
+    return () => this.#listeners.delete(fn);
+  }
+
+  #notify() {
+    for (const fn of this.#listeners) fn(this);
+  }
+
+  /* ── Helpers ── */
+
+  #indexAt(time) {
+    return this.#keyframes.findIndex((k) => Math.abs(k.time - time) < KEYFRAME_EPSILON);
+  }
+
+  /** @param {Keyframe} kf */
+  #props(kf) {
+    const out = {};
+    for (const key of ANIMATED_PROPS) out[key] = kf[key];
+    return out;
+  }
+}
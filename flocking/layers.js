@@ -0,0 +1,180 @@
+/**
+ * LayerStack — ordered list of independent grid overlay layers.
+ * Each layer owns a GridConfiguration and a KeyframeTrack plus visibility
+ * and lock flags. Layers are stored bottom → top; one layer is selected and
+ * is what the sidebar and gestures edit.
+ */
+
+import { GridConfiguration } from './grid-config.js';
+import { KeyframeTrack } from './keyframes.js';
+
+/** Line colors handed to new layers in turn, so overlapping grids stay distinguishable. */
+const LAYER_COLORS = ['#00ff00', '#ff3b30', '#ffcc00', '#00c8ff', '#ff66ff', '#ffffff'];
+
+/**
+ * @typedef {{
+ *   id: number,
+ *   name: string,
+ *   config: GridConfiguration,
+ *   keyframes: KeyframeTrack,
+ *   visible: boolean,
+ *   locked: boolean
+ * }} Layer
+ */
+
+export class LayerStack {
+  /** @type {Set<Function>} */
+  #listeners = new Set();
+  /** @type {Layer[]} bottom → top */
+  #layers = [];
+  #selectedId = 0;
+  #nextId = 1;
+
+  constructor() {
+    this.add();
+  }
+
+  /** Layers bottom → top (the array itself is a copy). */
+  get layers() { return [...this.#layers]; }
+
+  /** Visible layers bottom → top. */
+  get visibleLayers() { return this.#layers.filter((l) => l.visible); }
+
+  /** @returns {Layer} */
+  get selected() {
+    return this.#layers.find((l) => l.id === this.#selectedId) ?? this.#layers[this.#layers.length - 1];
+  }
+
+  /**
+   * Add a layer on top and select it.
+   * @param {{name?: string, config?: object, keyframes?: object[], visible?: boolean, locked?: boolean}} [init]
+   * @returns {Layer}
+   */
+  add(init = {}) {
+    const id = this.#nextId++;
+    const config = new GridConfiguration();
+    config.lineColor = LAYER_COLORS[(id - 1) % LAYER_COLORS.length];
+    if (init.config) config.update(init.config);
+
+    const keyframes = new KeyframeTrack();
+    if (init.keyframes) keyframes.load(init.keyframes);
+
+    /** @type {Layer} */
+    const layer = {
+      id,
+      name: typeof init.name === 'string' && init.name.trim() ? init.name.trim() : `Grid ${id}`,
+      config,
+      keyframes,
+      visible: init.visible !== false,
+      locked: init.locked === true,
+    };
+    config.onChange(() => this.#notify());
+    keyframes.onChange(() => this.#notify());
+
+    this.#layers.push(layer);
+    this.#selectedId = id;
+    this.#notify();
+    return layer;
+  }
+
+  /** Remove a layer. The last remaining layer can't be removed. */
+  remove(id) {
+    if (this.#layers.length <= 1) return;
+    const i = this.#layers.findIndex((l) => l.id === id);
+    if (i < 0) return;
+    this.#layers.splice(i, 1);
+    if (this.#selectedId === id) {
+      this.#selectedId = this.#layers[Math.min(i, this.#layers.length - 1)].id;
+    }
+    this.#notify();
+  }
+
+  select(id) {
+    if (id === this.#selectedId || !this.#find(id)) return;
+    this.#selectedId = id;
+    this.#notify();
+  }
+
+  /** Move a layer up (+1, towards the top) or down (-1) in the z-order. */
+  move(id, delta) {
+    const i = this.#layers.findIndex((l) => l.id === id);
+    const j = i + delta;
+    if (i < 0 || j < 0 || j >= this.#layers.length) return;
+    const [layer] = this.#layers.splice(i, 1);
+    this.#layers.splice(j, 0, layer);
+    this.#notify();
+  }
+
+  setVisible(id, visible) {
+    const layer = this.#find(id);
+    if (!layer || layer.visible === visible) return;
+    layer.visible = visible;
+    this.#notify();
+  }
+
+  setLocked(id, locked) {
+    const layer = this.#find(id);
+    if (!layer || layer.locked === locked) return;
+    layer.locked = locked;
+    this.#notify();
+  }
+
+  rename(id, name) {
+    const layer = this.#find(id);
+    const trimmed = String(name).trim();
+    if (!layer || !trimmed || layer.name === trimmed) return;
+    layer.name = trimmed;
+    this.#notify();
+  }
+
+  /** Serializable layer list, bottom → top. */
+  toJSON() {
+    return this.#layers.map((l) => ({
+      name: l.name,
+      visible: l.visible,
+      locked: l.locked,
+      config: l.config.toJSON(),
+      keyframes: l.keyframes.toJSON(),
+    }));
+  }
+
+  /**
+   * Replace every layer, e.g. from a session file. Values go through the
+   * configs' clamping setters. Keeps one default layer if the list is empty.
+   * @param {unknown} list
+   */
+  load(list) {
+    const entries = (Array.isArray(list) ? list : []).filter((e) => e && typeof e === 'object');
+    this.#layers = [];
+    this.#nextId = 1;
+    if (entries.length === 0) this.add();
+    for (const e of entries) {
+      this.add({
+        name: e.name,
+        config: e.config && typeof e.config === 'object' ? e.config : undefined,
+        keyframes: e.keyframes,
+        visible: e.visible,
+        locked: e.locked,
+      });
+    }
+  }
+
+  /* ── Observer pattern ── */
+
+  /**
+   * Register a listener for any change: layer list, flags, selection, or any
+   * layer's config or keyframes. Returns an unsubscribe function.
+   */
+  onChange(fn) {
+    this.#listeners.add(fn);
+    return () => this.#listeners.delete(fn);
+  }
+
+  #notify() {
+    for (const fn of this.#listeners) fn(this);
+  }
+
+  #find(id) {
+    return this.#layers.find((l) => l.id === id);
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Measure — rulers, angles and distances over the media, read in real-world
+ * units from the calibration of the grid they are measured against
+ * (`cellDistance` per cell). Without a calibration lengths are in cells.
+ *
+ * Measurements are annotations (see annotations.js): points in media pixels,
+ * selectable, movable and timed like any other mark.
+ */
+
+export const MEASURE_TYPES = ['ruler', 'angle', 'distance'];
+
+/** Label size, tick length and tick spacing in CSS pixels, whatever the zoom. */
+const LABEL_SIZE = 13;
+const TICK = 5;
+const MIN_TICK_GAP = 8;
+const MAX_TICKS = 500;
+/** Radius of the arc marking an angle, in CSS pixels. */
+const ANGLE_ARC = 24;
+
+/**
+ * @typedef {{perPx: number, unit: string, rotation: number}} MeasureScale
+ *   real-world units per media pixel, their name, and the grid rotation in degrees
+ */
+
+/**
+ * Scale for reading media shown at `rect` against a grid drawn with `props`.
+ * @param {{cellSize: number, rotation: number, cellDistance: number, distanceUnit: string}} props
+ * @param {{scale: number}} rect media placement (see mediaRect)
+ * @returns {MeasureScale}
+ */
+export function measureScale(props, rect) {
+  const calibrated = props.cellDistance > 0;
+  return {
+    perPx: ((calibrated ? props.cellDistance : 1) * rect.scale) / props.cellSize,
+    unit: calibrated ? props.distanceUnit : 'cells',
+    rotation: props.rotation,
+  };
+}
+
+/** e.g. "1.25 m", "14.5 ft", "120 cm" */
+export function formatLength(value, unit) {
+  const abs = Math.abs(value);
+  return `${value.toFixed(abs < 10 ? 2 : abs < 100 ? 1 : 0)} ${unit}`;
+}
+
+/**
+ * What a measurement reads. `label` is drawn next to it on the media;
+ * `detail` adds to it in the sidebar.
+ * @param {import('./annotations.js').Annotation} a
+ * @param {MeasureScale} scale
+ * @returns {{label: string, detail: string}}
+ */
+export function readMeasurement(a, scale) {
+  const [p0, p1, p2] = a.points;
+  if (a.type === 'angle') {
+    return { label: `${(Math.abs(angleSweep(p0, p1, p2)) * 180 / Math.PI).toFixed(1)}°`, detail: '' };
+  }
+
+  const dx = p1.x - p0.x;
+  const dy = p1.y - p0.y;
+  const label = formatLength(Math.hypot(dx, dy) * scale.perPx, scale.unit);
+  if (a.type === 'ruler') return { label, detail: '' };
+
+  // Distance also splits into the grid's own axes, for gaps along a row
+  const rot = scale.rotation * Math.PI / 180;
+  const along = Math.abs(dx * Math.cos(rot) + dy * Math.sin(rot)) * scale.perPx;
+  const across = Math.abs(-dx * Math.sin(rot) + dy * Math.cos(rot)) * scale.perPx;
+  return { label, detail: `Δx ${formatLength(along, scale.unit)} · Δy ${formatLength(across, scale.unit)} on the grid` };
+}
+
+/**
+ * Draw a measurement with its reading. `ctx` is in media pixels.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./annotations.js').Annotation} a
+ * @param {MeasureScale} scale
+ * @param {number} px media pixels per CSS pixel, to keep ticks and labels a fixed size on screen
+ */
+export function drawMeasurement(ctx, a, scale, px) {
+  const [p0, p1, p2] = a.points;
+  const { label } = readMeasurement(a, scale);
+  ctx.save();
+  ctx.strokeStyle = a.color;
+  ctx.lineWidth = a.width;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  if (a.type === 'angle') {
+    ctx.beginPath();
+    ctx.moveTo(p0.x, p0.y);
+    ctx.lineTo(p1.x, p1.y);
+    ctx.lineTo(p2.x, p2.y);
+    ctx.stroke();
+
+    const start = Math.atan2(p0.y - p1.y, p0.x - p1.x);
+    const sweep = angleSweep(p0, p1, p2);
+    const arm = Math.min(Math.hypot(p0.x - p1.x, p0.y - p1.y), Math.hypot(p2.x - p1.x, p2.y - p1.y));
+    const r = Math.min(ANGLE_ARC * px, arm / 2);
+    if (r > 0) {
+      ctx.beginPath();
+      ctx.arc(p1.x, p1.y, r, start, start + sweep, sweep < 0);
+      ctx.stroke();
+    }
+    // Reading sits on the bisector, just outside the arc
+    const mid = start + sweep / 2;
+    const d = r + LABEL_SIZE * px;
+    drawLabel(ctx, label, p1.x + Math.cos(mid) * d, p1.y + Math.sin(mid) * d, px);
+    ctx.restore();
+    return;
+  }
+
+  const len = Math.hypot(p1.x - p0.x, p1.y - p0.y);
+  const ux = len ? (p1.x - p0.x) / len : 1;
+  const uy = len ? (p1.y - p0.y) / len : 0;
+  // Unit normal, flipped so labels sit above the line
+  const flip = ux < 0 ? -1 : 1;
+  const nx = uy * flip;
+  const ny = -ux * flip;
+
+  ctx.beginPath();
+  if (a.type === 'distance') ctx.setLineDash([6 * px, 4 * px]);
+  ctx.moveTo(p0.x, p0.y);
+  ctx.lineTo(p1.x, p1.y);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.beginPath();
+  if (a.type === 'ruler') {
+    // End stops plus ticks at a round real-world step
+    for (const p of [p0, p1]) tick(ctx, p.x, p.y, -uy, ux, TICK * 2 * px);
+    const units = len * scale.perPx;
+    const step = niceStep(MIN_TICK_GAP * px * scale.perPx);
+    if (units / step < MAX_TICKS) {
+      for (let k = step; k < units - step / 2; k += step) {
+        const t = (k / units) * len;
+        tick(ctx, p0.x + ux * t, p0.y + uy * t, -uy, ux, TICK * px);
+      }
+    }
+  } else {
+    // Crosshair on each point
+    for (const p of [p0, p1]) {
+      tick(ctx, p.x, p.y, 1, 0, TICK * 2 * px);
+      tick(ctx, p.x, p.y, 0, 1, TICK * 2 * px);
+    }
+  }
+  ctx.stroke();
+
+  const off = (a.width / 2 + LABEL_SIZE) * px;
+  drawLabel(ctx, label, (p0.x + p1.x) / 2 + nx * off, (p0.y + p1.y) / 2 + ny * off, px);
+  ctx.restore();
+}
+
+/* ── Helpers ── */
+
+/** Signed angle from arm p1→p0 to arm p1→p2, in (-π, π]. */
+function angleSweep(p0, p1, p2) {
+  let sweep = Math.atan2(p2.y - p1.y, p2.x - p1.x) - Math.atan2(p0.y - p1.y, p0.x - p1.x);
+  if (sweep > Math.PI) sweep -= Math.PI * 2;
+  if (sweep <= -Math.PI) sweep += Math.PI * 2;
+  return sweep;
+}
+
+/** Add a tick of total length `size` centered on (x, y) along (dx, dy). */
+function tick(ctx, x, y, dx, dy, size) {
+  ctx.moveTo(x - dx * size / 2, y - dy * size / 2);
+  ctx.lineTo(x + dx * size / 2, y + dy * size / 2);
+}
+
+/** Smallest 1, 2 or 5 × 10ⁿ that is at least `min`. */
+function niceStep(min) {
+  const pow = 10 ** Math.floor(Math.log10(min));
+  return [1, 2, 5, 10].map((m) => m * pow).find((s) => s >= min);
+}
+
+/** White reading with a dark outline, centered on (x, y). */
+function drawLabel(ctx, text, x, y, px) {
+  ctx.font = `600 ${LABEL_SIZE * px}px system-ui, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.lineWidth = 3 * px;
+  ctx.fillStyle = '#fff';
+  ctx.strokeText(text, x, y);
+  ctx.fillText(text, x, y);
+}
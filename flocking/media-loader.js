@@ -1,12 +1,33 @@
 /**
  * MediaLoader — file input + drag-and-drop + video/image toggling.
  * Port of media-loading portions of VideoGridViewModel.swift.
+ *
+ * Dropping or picking several photos at once queues them; `showQueued`
+ * steps through the queue.
+ *
+ * Besides files, a live camera or screen stream can be shown; it counts as
+ * 'video' with `isLive` set, and can't be seeked or looped.
+ *
+ * A second source can be loaded for comparison. It plays in step with the
+ * first, shifted by `compareOffset` seconds, and is shown beside it or
+ * blended over it (`compareMode`).
  */
 
 const IMAGE_EXTENSIONS = new Set([
   'png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'svg', 'avif'
 ]);
 
+export const MIN_PLAYBACK_RATE = 0.1;
+export const MAX_PLAYBACK_RATE = 2;
+/** Speeds J/L step through on repeated presses. */
+const SHUTTLE_RATES = [1, 1.5, 2];
+/** Used until requestVideoFrameCallback has measured the clip. */
+const DEFAULT_FRAME_RATE = 30;
+/** How a comparison source is shown: in its own pane, or over the first. */
+export const COMPARE_MODES = ['side', 'onion'];
+/** Drift (seconds) tolerated between the two clips while playing before re-seeking. */
+const COMPARE_DRIFT = 0.05;
+
 export class MediaLoader {
   /** @type {HTMLVideoElement} */
   #video;
@@ -22,13 +43,53 @@ export class MediaLoader {
   #mediaType = 'none';
   /** @type {string|null} */
   #fileName = null;
+  /** @type {string|null} object URL of the file or recording on screen, revoked once replaced */
+  #mediaURL = null;
   /** @type {boolean} */
   #isPlaying = false;
   /** @type {Set<Function>} */
   #listeners = new Set();
+  /** @type {File[]} photos queued by a multi-file drop or pick */
+  #queue = [];
+  #queueIndex = -1;
+  /** @type {MediaStream|null} live camera or screen stream */
+  #stream = null;
+  #streamName = '';
+  /** True while the stream (rather than a file or recording) is on screen. */
+  #live = false;
+
+  // Transport state
+  #frameRate = DEFAULT_FRAME_RATE;
+  #lastFrame = null;   // {mediaTime, presentedFrames} from requestVideoFrameCallback
+  #loopIn = null;
+  #loopOut = null;
+  #reverseRate = 0;    // > 0 while J-shuttling backwards
+  #reverseRaf = 0;
+  #reverseLast = 0;
+
+  // Comparison source
+  /** @type {HTMLVideoElement|null} */
+  #compareVideo = null;
+  /** @type {HTMLImageElement|null} */
+  #compareImage = null;
+  /** @type {HTMLInputElement|null} */
+  #compareInput = null;
+  /** @type {'none'|'video'|'image'} */
+  #compareType = 'none';
+  /** @type {string|null} */
+  #compareFileName = null;
+  /** @type {'side'|'onion'} */
+  #compareMode = 'side';
+  #compareOpacity = 0.5;
+  #compareOffset = 0;
 
   /**
-   * @param {{video: HTMLVideoElement, image: HTMLImageElement, fileInput: HTMLInputElement, dropZone: HTMLElement, placeholder: HTMLElement}} els
+   * @param {{
+   *   video: HTMLVideoElement, image: HTMLImageElement, fileInput: HTMLInputElement,
+   *   dropZone: HTMLElement, placeholder: HTMLElement,
+   *   compareVideo?: HTMLVideoElement, compareImage?: HTMLImageElement,
+   *   compareInput?: HTMLInputElement, compareDropZone?: HTMLElement
+   * }} els the compare* elements enable a second source for comparison
    */
   constructor(els) {
     this.#video = els.video;
@@ -38,8 +99,7 @@ export class MediaLoader {
     this.#placeholder = els.placeholder;
 
     this.#fileInput.addEventListener('change', () => {
-      const file = this.#fileInput.files[0];
-      if (file) this.#loadFile(file);
+      this.openFiles(this.#fileInput.files);
       this.#fileInput.value = '';
     });
 
@@ -54,33 +114,364 @@ export class MediaLoader {
     this.#dropZone.addEventListener('drop', (e) => {
       e.preventDefault();
       this.#dropZone.classList.remove('drag-over');
-      const file = e.dataTransfer.files[0];
-      if (file) this.#loadFile(file);
+      this.openFiles(e.dataTransfer.files);
     });
+
+    // Keep isPlaying in sync with the element (ended, external pause, etc.)
+    this.#video.addEventListener('play', () => this.#setPlaying(true));
+    this.#video.addEventListener('pause', () => this.#setPlaying(false));
+    this.#video.addEventListener('ratechange', () => this.#notify());
+    this.#watchFrames();
+
+    this.#compareVideo = els.compareVideo ?? null;
+    this.#compareImage = els.compareImage ?? null;
+    this.#compareInput = els.compareInput ?? null;
+    this.#compareInput?.addEventListener('change', () => {
+      const file = this.#compareInput.files[0];
+      if (file) this.#loadCompareFile(file);
+      this.#compareInput.value = '';
+    });
+    const compareDrop = els.compareDropZone;
+    if (compareDrop) {
+      compareDrop.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        compareDrop.classList.add('drag-over');
+      });
+      compareDrop.addEventListener('dragleave', () => {
+        compareDrop.classList.remove('drag-over');
+      });
+      compareDrop.addEventListener('drop', (e) => {
+        e.preventDefault();
+        compareDrop.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (file) this.#loadCompareFile(file);
+      });
+    }
+
+    // Keep the second clip in step with every play, pause, seek and rate change
+    for (const type of ['play', 'pause', 'seeked', 'ratechange']) {
+      this.#video.addEventListener(type, () => this.#syncCompare());
+    }
+    this.#compareVideo?.addEventListener('loadedmetadata', () => {
+      this.#syncCompare();
+      this.#notify();
+    });
+    this.#compareImage?.addEventListener('load', () => this.#notify());
   }
 
   get mediaType() { return this.#mediaType; }
   get fileName() { return this.#fileName; }
-  get isPlaying() { return this.#isPlaying; }
+  get isPlaying() { return this.#isPlaying || this.#reverseRate > 0; }
   get hasMedia() { return this.#mediaType !== 'none'; }
   get videoElement() { return this.#video; }
+  get isLive() { return this.#live; }
+  /** The live stream, kept while a recording of it is shown, or null. */
+  get stream() { return this.#stream; }
   get imageElement() { return this.#image; }
+  /** Natural size of the loaded media in pixels (0×0 until known). */
+  get mediaSize() {
+    if (this.#mediaType === 'video') return { width: this.#video.videoWidth, height: this.#video.videoHeight };
+    if (this.#mediaType === 'image') return { width: this.#image.naturalWidth, height: this.#image.naturalHeight };
+    return { width: 0, height: 0 };
+  }
+  get currentTime() { return this.#mediaType === 'video' ? this.#video.currentTime : 0; }
+  get duration() {
+    const d = this.#video.duration;
+    return this.#mediaType === 'video' && Number.isFinite(d) ? d : 0;
+  }
+  /** Measured (or default) frames per second of the loaded video. */
+  get frameRate() { return this.#frameRate; }
+  get playbackRate() { return this.#video.playbackRate; }
+  set playbackRate(v) {
+    if (!Number.isFinite(v)) return;
+    this.#video.playbackRate = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, v));
+  }
+  /** Shuttle speed: negative while reversing, 0 when paused. */
+  get shuttleSpeed() {
+    if (this.#reverseRate > 0) return -this.#reverseRate;
+    return this.#isPlaying ? this.#video.playbackRate : 0;
+  }
+  get loopIn() { return this.#loopIn; }
+  get loopOut() { return this.#loopOut; }
+  get hasLoop() { return this.#loopIn !== null && this.#loopOut !== null; }
+
+  /* ── Photo queue ── */
+
+  /** Queued photos, in order. */
+  get queue() { return [...this.#queue]; }
+  /** Index of the queued photo on screen, or -1. */
+  get queueIndex() { return this.#queueIndex; }
+
+  /** Show queued photo `i`. */
+  showQueued(i) {
+    const file = this.#queue[i];
+    if (!file || i === this.#queueIndex) return;
+    this.#queueIndex = i;
+    this.#loadFile(file);
+  }
+
+  /** Take photo `i` out of the queue, moving on to the next if it was on screen. */
+  removeQueued(i) {
+    if (!this.#queue[i]) return;
+    this.#queue.splice(i, 1);
+    if (i < this.#queueIndex) {
+      this.#queueIndex--;
+    } else if (i === this.#queueIndex) {
+      this.#queueIndex = -1;
+      if (this.#queue.length > 0) {
+        this.showQueued(Math.min(i, this.#queue.length - 1));
+        return;
+      }
+    }
+    this.#notify();
+  }
+
+  clearQueue() {
+    if (this.#queue.length === 0) return;
+    this.#queue = [];
+    this.#queueIndex = -1;
+    this.#notify();
+  }
+
+  /* ── Comparison source ── */
+
+  get compareType() { return this.#compareType; }
+  get compareFileName() { return this.#compareFileName; }
+  get hasCompare() { return this.#compareType !== 'none'; }
+  /** The element showing the comparison source, or null. */
+  get compareElement() {
+    if (this.#compareType === 'video') return this.#compareVideo;
+    if (this.#compareType === 'image') return this.#compareImage;
+    return null;
+  }
+  /** Natural size of the comparison source in pixels (0×0 until known). */
+  get compareSize() {
+    if (this.#compareType === 'video') return { width: this.#compareVideo.videoWidth, height: this.#compareVideo.videoHeight };
+    if (this.#compareType === 'image') return { width: this.#compareImage.naturalWidth, height: this.#compareImage.naturalHeight };
+    return { width: 0, height: 0 };
+  }
+  /** 'side' for two panes, 'onion' to blend the second source over the first. */
+  get compareMode() { return this.#compareMode; }
+  set compareMode(mode) {
+    if (!COMPARE_MODES.includes(mode) || mode === this.#compareMode) return;
+    this.#compareMode = mode;
+    this.#applyCompareOpacity();
+    this.#notify();
+  }
+  /** Opacity of the second source in onion-skin mode, 0–1. */
+  get compareOpacity() { return this.#compareOpacity; }
+  set compareOpacity(v) {
+    if (!Number.isFinite(v)) return;
+    this.#compareOpacity = Math.max(0, Math.min(1, v));
+    this.#applyCompareOpacity();
+    this.#notify();
+  }
+  /** Seconds the second clip runs ahead of the first (negative = behind). */
+  get compareOffset() { return this.#compareOffset; }
+  set compareOffset(v) {
+    if (!Number.isFinite(v)) return;
+    this.#compareOffset = v;
+    this.#syncCompare();
+    this.#notify();
+  }
+  /** Time shown in the second clip. */
+  get compareTime() { return this.currentTime + this.#compareOffset; }
 
   /** Open file picker */
   openPicker() {
     this.#fileInput.click();
   }
 
+  /**
+   * Open picked, dropped or launched files: several photos go to the end of
+   * the queue and the first of them is shown; otherwise the first file is
+   * opened.
+   * @param {FileList|File[]} files
+   */
+  openFiles(files) {
+    const photos = [...files].filter(isImageFile);
+    if (files.length > 1 && photos.length > 1) {
+      const first = this.#queue.length;
+      this.#queue.push(...photos);
+      this.showQueued(first);
+      return;
+    }
+    if (files.length === 0) return;
+    this.#queueIndex = -1;
+    this.#loadFile(files[0]);
+  }
+
+  /**
+   * Show a camera or capture card. Rejects if access is refused.
+   * @param {string} [deviceId] from listCameras(); the default camera when omitted
+   */
+  async openCamera(deviceId) {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      video: deviceId ? { deviceId: { exact: deviceId } } : true,
+      audio: false,
+    });
+    this.#loadStream(stream, 'Camera');
+  }
+
+  /** Show a screen, window or tab picked by the user. Rejects if cancelled. */
+  async openScreen() {
+    const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+    this.#loadStream(stream, 'Screen');
+  }
+
+  /** Stop the live stream; clears the view if it was on screen. */
+  stopLive() {
+    if (!this.#stream) return;
+    this.#releaseStream();
+    if (this.#live) {
+      this.#live = false;
+      this.#video.classList.remove('active');
+      this.#placeholder.classList.remove('hidden');
+      this.#mediaType = 'none';
+      this.#fileName = null;
+      this.#isPlaying = false;
+    }
+    this.#notify();
+  }
+
+  /**
+   * Show a recording of the live stream, e.g. an instant replay, from
+   * `startAt` seconds in. The stream keeps running; resumeLive() returns to it.
+   * @param {Blob} blob
+   * @param {string} name
+   * @param {number} [startAt]
+   */
+  playRecording(blob, name, startAt = 0) {
+    const video = this.#video;
+    video.addEventListener('loadedmetadata', () => {
+      // Recorded WebM carries no duration; seeking past the end makes the browser work it out
+      if (video.duration !== Infinity) {
+        video.currentTime = startAt;
+        return;
+      }
+      video.addEventListener('durationchange', () => {
+        video.currentTime = startAt;
+        this.#notify();
+      }, { once: true });
+      video.currentTime = Number.MAX_SAFE_INTEGER;
+    }, { once: true });
+    this.#queueIndex = -1;
+    this.#loadVideo(URL.createObjectURL(blob), name);
+  }
+
+  /** Back to the live stream after playRecording(). */
+  resumeLive() {
+    if (this.#stream && !this.#live) this.#showStream();
+  }
+
+  /** Open the file picker for the comparison source */
+  openComparePicker() {
+    this.#compareInput?.click();
+  }
+
+  /** Shift the second clip by `n` frames against the first, e.g. to line up exits. */
+  nudgeCompare(n) {
+    this.compareOffset = this.#compareOffset + n / this.#frameRate;
+  }
+
+  /** Remove the comparison source. */
+  clearCompare() {
+    if (this.#compareType === 'none') return;
+    this.#compareVideo?.pause();
+    this.#compareVideo?.removeAttribute('src');
+    this.#compareVideo?.classList.remove('active');
+    this.#compareImage?.removeAttribute('src');
+    this.#compareImage?.classList.remove('active');
+    this.#compareType = 'none';
+    this.#compareFileName = null;
+    this.#notify();
+  }
+
   /** Toggle video play/pause */
   togglePlayPause() {
+    if (this.isPlaying) this.pause();
+    else this.play();
+  }
+
+  play() {
     if (this.#mediaType !== 'video') return;
-    if (this.#isPlaying) {
-      this.#video.pause();
-      this.#isPlaying = false;
-    } else {
-      this.#video.play();
-      this.#isPlaying = true;
+    this.#stopReverse();
+    // Restart from the loop-in point when sitting at or past loop-out
+    if (this.hasLoop && this.#video.currentTime >= this.#loopOut) {
+      this.#video.currentTime = this.#loopIn;
     }
+    this.#video.play();
+  }
+
+  pause() {
+    if (this.#mediaType !== 'video') return;
+    this.#stopReverse();
+    this.#video.pause();
+    this.#notify();
+  }
+
+  /** Seek the video to `time` seconds (clamped to the clip). */
+  seek(time) {
+    if (this.#mediaType !== 'video' || this.#live) return;
+    const max = this.duration || 0;
+    this.#video.currentTime = Math.max(0, Math.min(max, time));
+    this.#notify();
+  }
+
+  /**
+   * Pause and move `n` frames forward (negative = backward). Lands in the
+   * middle of the target frame so float rounding can't show its neighbour.
+   * @param {number} n
+   */
+  stepFrames(n) {
+    if (this.#mediaType !== 'video' || this.#live) return;
+    this.pause();
+    const fps = this.#frameRate;
+    const t = this.#lastFrame ? this.#lastFrame.mediaTime : this.#video.currentTime;
+    const frame = Math.floor(t * fps + 1e-3);
+    this.seek((frame + n + 0.5) / fps);
+  }
+
+  /**
+   * J/K/L shuttle. +1 (L) plays forward, faster on each press; -1 (J) plays
+   * backward, faster on each press; 0 (K) stops.
+   * @param {-1|0|1} direction
+   */
+  shuttle(direction) {
+    if (this.#mediaType !== 'video' || this.#live) return;
+    if (direction === 0) {
+      this.pause();
+      return;
+    }
+    if (direction > 0) {
+      const rate = this.#isPlaying ? nextRate(this.#video.playbackRate) : SHUTTLE_RATES[0];
+      this.playbackRate = rate;
+      this.play();
+      return;
+    }
+    const rate = this.#reverseRate > 0 ? nextRate(this.#reverseRate) : SHUTTLE_RATES[0];
+    this.#startReverse(rate);
+  }
+
+  /** Set the A (loop-in) point; drops B if it would come before A. */
+  setLoopIn(time = this.currentTime) {
+    if (this.#mediaType !== 'video' || this.#live) return;
+    this.#loopIn = time;
+    if (this.#loopOut !== null && this.#loopOut <= time) this.#loopOut = null;
+    this.#notify();
+  }
+
+  /** Set the B (loop-out) point; drops A if it would come after B. */
+  setLoopOut(time = this.currentTime) {
+    if (this.#mediaType !== 'video' || this.#live) return;
+    this.#loopOut = time;
+    if (this.#loopIn !== null && this.#loopIn >= time) this.#loopIn = null;
+    this.#notify();
+  }
+
+  clearLoop() {
+    this.#loopIn = null;
+    this.#loopOut = null;
     this.#notify();
   }
 
@@ -92,10 +483,11 @@ export class MediaLoader {
 
   /** @param {File} file */
   #loadFile(file) {
-    const ext = file.name.split('.').pop().toLowerCase();
+    // A file replaces the live session
+    this.#releaseStream();
     const url = URL.createObjectURL(file);
 
-    if (IMAGE_EXTENSIONS.has(ext) || file.type.startsWith('image/')) {
+    if (isImageFile(file)) {
       this.#loadImage(url, file.name);
     } else {
       this.#loadVideo(url, file.name);
@@ -106,15 +498,19 @@ export class MediaLoader {
   #loadImage(url, name) {
     // Clear video
     this.#video.pause();
+    this.#video.srcObject = null;
     this.#video.removeAttribute('src');
     this.#video.classList.remove('active');
 
     // Show image
     this.#image.src = url;
+    this.#setMediaURL(url);
     this.#image.classList.add('active');
     this.#placeholder.classList.add('hidden');
 
+    this.#stopReverse();
     this.#mediaType = 'image';
+    this.#live = false;
     this.#fileName = name;
     this.#isPlaying = false;
     this.#notify();
@@ -127,18 +523,224 @@ export class MediaLoader {
     this.#image.classList.remove('active');
 
     // Show video
+    this.#video.srcObject = null;
     this.#video.src = url;
+    this.#setMediaURL(url);
     this.#video.classList.add('active');
     this.#placeholder.classList.add('hidden');
 
-    this.#video.play();
+    this.#stopReverse();
     this.#mediaType = 'video';
+    this.#live = false;
     this.#fileName = name;
-    this.#isPlaying = true;
+    this.#frameRate = DEFAULT_FRAME_RATE;
+    this.#lastFrame = null;
+    this.#loopIn = null;
+    this.#loopOut = null;
+    this.#video.play();
+    this.#notify();
+  }
+
+  /** @param {MediaStream} stream @param {string} kind */
+  #loadStream(stream, kind) {
+    this.#releaseStream();
+    const track = stream.getVideoTracks()[0];
+    this.#stream = stream;
+    this.#streamName = track?.label || kind;
+    // Screen sharing can be ended from the browser's own controls
+    track?.addEventListener('ended', () => {
+      if (this.#stream === stream) this.stopLive();
+    });
+    this.#showStream();
+  }
+
+  #showStream() {
+    this.#image.removeAttribute('src');
+    this.#image.classList.remove('active');
+    this.#video.removeAttribute('src');
+    this.#setMediaURL(null);
+    this.#video.srcObject = this.#stream;
+    this.#video.classList.add('active');
+    this.#placeholder.classList.add('hidden');
+
+    this.#stopReverse();
+    this.#mediaType = 'video';
+    this.#live = true;
+    this.#queueIndex = -1;
+    this.#fileName = this.#streamName;
+    this.#frameRate = this.#stream.getVideoTracks()[0]?.getSettings().frameRate || DEFAULT_FRAME_RATE;
+    this.#lastFrame = null;
+    this.#loopIn = null;
+    this.#loopOut = null;
+    this.#video.play();
+    this.#notify();
+  }
+
+  /** @param {string|null} url */
+  #setMediaURL(url) {
+    if (this.#mediaURL) URL.revokeObjectURL(this.#mediaURL);
+    this.#mediaURL = url;
+  }
+
+  #releaseStream() {
+    if (!this.#stream) return;
+    for (const track of this.#stream.getTracks()) track.stop();
+    this.#stream = null;
+    if (this.#live) this.#video.srcObject = null;
+  }
+
+  /** @param {File} file */
+  #loadCompareFile(file) {
+    if (!this.#compareVideo || !this.#compareImage) return;
+    const url = URL.createObjectURL(file);
+    const isImage = isImageFile(file);
+
+    this.#compareVideo.pause();
+    this.#compareVideo.removeAttribute('src');
+    this.#compareImage.removeAttribute('src');
+    const show = isImage ? this.#compareImage : this.#compareVideo;
+    const hide = isImage ? this.#compareVideo : this.#compareImage;
+    hide.classList.remove('active');
+    show.src = url;
+    show.classList.add('active');
+
+    this.#compareType = isImage ? 'image' : 'video';
+    this.#compareFileName = file.name;
+    this.#compareOffset = 0;
+    this.#applyCompareOpacity();
+    this.#notify();
+  }
+
+  #applyCompareOpacity() {
+    const opacity = this.#compareMode === 'onion' ? String(this.#compareOpacity) : '';
+    if (this.#compareVideo) this.#compareVideo.style.opacity = opacity;
+    if (this.#compareImage) this.#compareImage.style.opacity = opacity;
+  }
+
+  /**
+   * Bring the second clip to `compareTime`: playing alongside the first
+   * while it plays and the time is inside the clip, paused on the exact
+   * frame otherwise.
+   */
+  #syncCompare() {
+    const cmp = this.#compareVideo;
+    if (this.#compareType !== 'video' || cmp.readyState < 1) return;
+    const target = this.compareTime;
+    const running = !this.#video.paused && target >= 0 && target < cmp.duration;
+    const t = Math.max(0, Math.min(cmp.duration, target));
+
+    cmp.playbackRate = this.#video.playbackRate;
+    if (running && cmp.paused) cmp.play().catch(() => {});
+    else if (!running && !cmp.paused) cmp.pause();
+    if (Math.abs(cmp.currentTime - t) > (running ? COMPARE_DRIFT : 1e-3)) cmp.currentTime = t;
+  }
+
+  /* ── Transport internals ── */
+
+  #setPlaying(playing) {
+    if (this.#isPlaying === playing) return;
+    this.#isPlaying = playing;
+    this.#notify();
+  }
+
+  /**
+   * Per-frame watcher: measures the frame rate from presented frames,
+   * wraps playback at the B point and keeps the comparison clip in step.
+   * Uses requestVideoFrameCallback where the browser has it,
+   * requestAnimationFrame otherwise.
+   */
+  #watchFrames() {
+    const video = this.#video;
+    if ('requestVideoFrameCallback' in video) {
+      const onFrame = (_now, meta) => {
+        this.#measureFrameRate(meta);
+        this.#enforceLoop();
+        this.#syncCompare();
+        video.requestVideoFrameCallback(onFrame);
+      };
+      video.requestVideoFrameCallback(onFrame);
+    } else {
+      const tick = () => {
+        this.#enforceLoop();
+        this.#syncCompare();
+        requestAnimationFrame(tick);
+      };
+      requestAnimationFrame(tick);
+    }
+  }
+
+  /** @param {{mediaTime: number, presentedFrames: number}} meta */
+  #measureFrameRate(meta) {
+    const prev = this.#lastFrame;
+    this.#lastFrame = { mediaTime: meta.mediaTime, presentedFrames: meta.presentedFrames };
+    // Only consecutive frames during normal playback give a clean interval
+    if (!prev || !this.#isPlaying || meta.presentedFrames - prev.presentedFrames !== 1) return;
+    const dt = meta.mediaTime - prev.mediaTime;
+    if (dt <= 0) return;
+    const fps = Math.max(1, Math.min(240, 1 / dt));
+    // Smooth out jitter; snap to a whole number once close
+    this.#frameRate += (fps - this.#frameRate) * 0.2;
+    const rounded = Math.round(this.#frameRate);
+    if (Math.abs(this.#frameRate - rounded) < 0.05) this.#frameRate = rounded;
+  }
+
+  #enforceLoop() {
+    if (!this.hasLoop || !this.#isPlaying) return;
+    if (this.#video.currentTime >= this.#loopOut) this.#video.currentTime = this.#loopIn;
+  }
+
+  /** Reverse playback by seeking backwards every animation frame. */
+  #startReverse(rate) {
+    this.#video.pause();
+    this.#reverseRate = rate;
+    if (!this.#reverseRaf) {
+      this.#reverseLast = performance.now();
+      this.#reverseRaf = requestAnimationFrame(this.#reverseTick);
+    }
     this.#notify();
   }
 
+  #reverseTick = (now) => {
+    const dt = (now - this.#reverseLast) / 1000;
+    this.#reverseLast = now;
+    let t = this.#video.currentTime - dt * this.#reverseRate;
+    if (this.hasLoop && t < this.#loopIn) t = this.#loopOut;
+    if (t <= 0) {
+      this.#video.currentTime = 0;
+      this.#stopReverse();
+      this.#notify();
+      return;
+    }
+    this.#video.currentTime = t;
+    this.#reverseRaf = requestAnimationFrame(this.#reverseTick);
+  };
+
+  #stopReverse() {
+    if (!this.#reverseRaf) return;
+    cancelAnimationFrame(this.#reverseRaf);
+    this.#reverseRaf = 0;
+    this.#reverseRate = 0;
+  }
+
   #notify() {
     for (const fn of this.#listeners) fn(this);
   }
 }
+
+/** @param {File} file */
+function isImageFile(file) {
+  const ext = file.name.split('.').pop().toLowerCase();
+  return IMAGE_EXTENSIONS.has(ext) || file.type.startsWith('image/');
+}
+
+/** Cameras and capture cards; labels stay empty until camera access is granted. */
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter((d) => d.kind === 'videoinput');
+}
+
+/** Next shuttle speed above `rate`, capped at the fastest. */
+function nextRate(rate) {
+  return SHUTTLE_RATES.find((r) => r > rate + 1e-6) ?? SHUTTLE_RATES[SHUTTLE_RATES.length - 1];
+}
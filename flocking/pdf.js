@@ -0,0 +1,175 @@
+/**
+ * PDF — minimal PDF 1.4 writer, so Flocking can produce PDFs offline with
+ * no third-party library.
+ *
+ * Page content is written as raw PDF operators in points (1/72 inch) with
+ * the origin at the top-left of the page and y pointing down, like a
+ * canvas. Fonts are the standard Helvetica faces; images are JPEGs.
+ * VectorContext (vector.js) writes into pages through this API.
+ */
+
+/** A4 page sizes, in points. */
+export const A4_PORTRAIT = { width: 595, height: 842 };
+export const A4_LANDSCAPE = { width: 842, height: 595 };
+
+/** Standard fonts every PDF reader has; no embedding needed. */
+const FONTS = ['Helvetica', 'Helvetica-Bold'];
+
+/** WinAnsiEncoding codes for the non-Latin-1 characters Flocking uses. */
+const WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+};
+
+const encoder = new TextEncoder();
+
+export class PdfDocument {
+  /** @type {{width: number, height: number, content: string[]}[]} */
+  #pages = [];
+  /** @type {Map<string, string>} font name → resource name */
+  #fonts = new Map();
+  /** @type {Map<number, string>} alpha → ExtGState resource name */
+  #alphas = new Map();
+  /** @type {{name: string, jpeg: Uint8Array, w: number, h: number}[]} */
+  #images = [];
+
+  get pageCount() { return this.#pages.length; }
+
+  /**
+   * Start a new page; later drawing calls go to it.
+   * @param {number} width points
+   * @param {number} height points
+   */
+  addPage(width, height) {
+    this.#pages.push({ width, height, content: [] });
+  }
+
+  /** Append raw content operators to the current page. */
+  addContent(ops) {
+    const page = this.#pages.at(-1);
+    if (!page) throw new Error('addPage() before drawing.');
+    page.content.push(ops);
+  }
+
+  /**
+   * Resource name for a standard font, e.g. `/F1`.
+   * @param {'Helvetica'|'Helvetica-Bold'} name
+   */
+  font(name) {
+    if (!FONTS.includes(name)) name = 'Helvetica';
+    if (!this.#fonts.has(name)) this.#fonts.set(name, `/F${this.#fonts.size + 1}`);
+    return this.#fonts.get(name);
+  }
+
+  /** Resource name of a graphics state with the given fill and stroke alpha. */
+  alpha(a) {
+    const key = Math.round(Math.max(0, Math.min(1, a)) * 1000) / 1000;
+    if (!this.#alphas.has(key)) this.#alphas.set(key, `/GS${this.#alphas.size + 1}`);
+    return this.#alphas.get(key);
+  }
+
+  /**
+   * Register a JPEG and return its resource name for the `Do` operator.
+   * @param {Uint8Array} jpeg encoded JPEG bytes
+   * @param {number} w pixel width
+   * @param {number} h pixel height
+   */
+  image(jpeg, w, h) {
+    const name = `/Im${this.#images.length + 1}`;
+    this.#images.push({ name, jpeg, w, h });
+    return name;
+  }
+
+  /** Serialize the document. */
+  toBlob() {
+    /** @type {(string|Uint8Array)[]} */
+    const objects = [];
+    // Object ids are 1-based positions in this list
+    const add = (body) => objects.push(body);
+
+    // 1 = catalog, 2 = page tree; filled in once the page ids are known
+    add('');
+    add('');
+
+    const fonts = [...this.#fonts].map(([font, name]) =>
+      `${name} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`)} 0 R`);
+    const states = [...this.#alphas].map(([a, name]) =>
+      `${name} ${add(`<< /Type /ExtGState /ca ${a} /CA ${a} >>`)} 0 R`);
+    const images = this.#images.map((img) => `${img.name} ${add(concat(
+      `<< /Type /XObject /Subtype /Image /Width ${img.w} /Height ${img.h} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.jpeg.length} >>\nstream\n`,
+      img.jpeg,
+      '\nendstream',
+    ))} 0 R`);
+    // One resource dictionary shared by every page
+    const resources = add(`<< /Font << ${fonts.join(' ')} >> /ExtGState << ${states.join(' ')} >> /XObject << ${images.join(' ')} >> >>`);
+
+    const kids = [];
+    for (const page of this.#pages) {
+      // Flip to a top-left origin with y pointing down
+      const content = `1 0 0 -1 0 ${num(page.height)} cm\n${page.content.join('')}`;
+      const stream = encoder.encode(content);
+      const contentId = add(concat(`<< /Length ${stream.length} >>\nstream\n`, stream, 'endstream'));
+      kids.push(add(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] `
+        + `/Resources ${resources} 0 R /Contents ${contentId} 0 R >>`,
+      ));
+    }
+    objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    // Body with byte offsets for the cross-reference table
+    const parts = [encoder.encode('%PDF-1.4\n%âãÏÓ\n')];
+    let offset = parts[0].length;
+    const offsets = [];
+    objects.forEach((body, i) => {
+      const bytes = concat(`${i + 1} 0 obj\n`, body, '\nendobj\n');
+      offsets.push(offset);
+      offset += bytes.length;
+      parts.push(bytes);
+    });
+
+    const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`];
+    for (const o of offsets) xref.push(`${String(o).padStart(10, '0')} 00000 n \n`);
+    xref.push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${offset}\n%%EOF\n`);
+    parts.push(encoder.encode(xref.join('')));
+
+    return new Blob(parts, { type: 'application/pdf' });
+  }
+}
+
+/**
+ * A PDF string literal in WinAnsiEncoding, e.g. `(Point 1)`. Characters the
+ * standard fonts can't show become '?'.
+ * @param {string} text
+ */
+export function pdfString(text) {
+  let out = '(';
+  for (const ch of text) {
+    const code = WIN_ANSI[ch] ?? ch.codePointAt(0);
+    if (code > 255) out += '?';
+    else if (ch === '(' || ch === ')' || ch === '\\') out += `\\${ch}`;
+    else if (code < 32 || code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += ch;
+  }
+  return `${out})`;
+}
+
+/** Number formatted for PDF operators (no exponents, trimmed decimals). */
+export function num(n) {
+  const r = Math.round(n * 1000) / 1000;
+  return String(Object.is(r, -0) ? 0 : r);
+}
+
+/* ── Helpers ── */
+
+/** Join strings (UTF-8) and byte arrays into one Uint8Array. */
+function concat(...chunks) {
+  const arrays = chunks.map((c) => (typeof c === 'string' ? encoder.encode(c) : c));
+  const out = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0));
+  let at = 0;
+  for (const a of arrays) {
+    out.set(a, at);
+    at += a.length;
+  }
+  return out;
+}
@@ -0,0 +1,67 @@
+/**
+ * Presets — named GridConfiguration snapshots kept in localStorage.
+ * Position and calibration are left out so a preset can be applied to any
+ * clip without throwing away the current alignment.
+ */
+
+import { CONFIG_KEYS } from './grid-config.js';
+
+const STORAGE_KEY = 'flocking_presets';
+const CLIP_KEYS = ['positionX', 'positionY', 'cellDistance', 'distanceUnit'];
+const PRESET_KEYS = CONFIG_KEYS.filter((k) => !CLIP_KEYS.includes(k));
+
+/** @returns {Record<string, object>} */
+function readAll() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+/** @param {Record<string, object>} all */
+function writeAll(all) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+/** Preset names, alphabetical. */
+export function listPresets() {
+  return Object.keys(readAll()).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Save the config under `name`, replacing any preset with that name.
+ * @param {string} name
+ * @param {import('./grid-config.js').GridConfiguration} config
+ */
+export function savePreset(name, config) {
+  const all = readAll();
+  const state = config.toJSON();
+  all[name] = Object.fromEntries(PRESET_KEYS.map((k) => [k, state[k]]));
+  writeAll(all);
+}
+
+/**
+ * Apply a stored preset through the config's clamping setters.
+ * Returns false if there is no preset with that name.
+ * @param {string} name
+ * @param {import('./grid-config.js').GridConfiguration} config
+ */
+export function applyPreset(name, config) {
+  const preset = readAll()[name];
+  if (!preset || typeof preset !== 'object') return false;
+  const props = {};
+  for (const key of PRESET_KEYS) {
+    if (key in preset) props[key] = preset[key];
+  }
+  config.update(props);
+  return true;
+}
+
+/** @param {string} name */
+export function deletePreset(name) {
+  const all = readAll();
+  delete all[name];
+  writeAll(all);
+}
@@ -0,0 +1,65 @@
+/**
+ * PWA — registers the offline service worker (sw.js), reports when a new
+ * version is ready, and hands over files opened from the operating system
+ * ("Open with", or dropped on the installed app's icon).
+ */
+
+const WORKER_URL = '/flocking/sw.js';
+const SCOPE = '/flocking/';
+
+/**
+ * Register the service worker. `onUpdate` is called once a new version has
+ * installed and is waiting; calling the `apply` it is given switches to it
+ * and reloads the page. Does nothing where service workers are unavailable.
+ * @param {(apply: () => void) => void} onUpdate
+ */
+export async function registerServiceWorker(onUpdate) {
+  if (!('serviceWorker' in navigator)) return;
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(WORKER_URL, { scope: SCOPE });
+  } catch {
+    // e.g. opened from file:// or in a private window; the app works online
+    return;
+  }
+
+  // Reload only when the user asked to: the first install also takes
+  // control of the page, and that must not throw away the open media
+  let applying = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (applying) location.reload();
+  });
+  const offer = (worker) => onUpdate(() => {
+    applying = true;
+    worker.postMessage('skipWaiting');
+  });
+
+  // Left waiting by an earlier visit
+  if (registration.waiting && navigator.serviceWorker.controller) offer(registration.waiting);
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      // With no controller this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+    });
+  });
+
+  // The app stays open for whole jumps; look for a deploy when it's back in view
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') registration.update().catch(() => {});
+  });
+}
+
+/**
+ * Call `fn` with the files the app was launched with through its file
+ * handlers. Does nothing where the Launch Handler API is unavailable.
+ * @param {(files: File[]) => void} fn
+ */
+export function onLaunchFiles(fn) {
+  if (!('launchQueue' in window)) return;
+  window.launchQueue.setConsumer(async ({ files }) => {
+    const handles = (files ?? []).filter((h) => h.kind === 'file');
+    if (handles.length === 0) return;
+    fn(await Promise.all(handles.map((h) => h.getFile())));
+  });
+}
@@ -0,0 +1,126 @@
+/**
+ * ReplayBuffer — keeps the last few seconds of a live camera or screen
+ * stream so a jump can be watched again straight after it lands.
+ *
+ * WebM can't be trimmed from the front, so two recorders run staggered by
+ * the buffer length and each restarts after twice that. One of them has
+ * always been recording for between one and two lengths, and what it has
+ * so far is a playable file holding at least the last `seconds`.
+ */
+
+const MIME_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+];
+
+/** Buffer lengths offered, in seconds. */
+export const REPLAY_LENGTHS = [10, 30, 60];
+
+/** True when this browser can record a live stream to WebM. */
+export function isReplaySupported() {
+  return typeof MediaRecorder !== 'undefined'
+    && MIME_TYPES.some((t) => MediaRecorder.isTypeSupported(t));
+}
+
+/**
+ * @typedef {{recorder: MediaRecorder, chunks: Blob[], startedAt: number}} Slot
+ */
+
+export class ReplayBuffer {
+  #seconds;
+  /** @type {MediaStream|null} */
+  #stream = null;
+  /** @type {(Slot|undefined)[]} */
+  #slots = [];
+  /** @type {number[]} restart timer per slot */
+  #timers = [0, 0];
+
+  /** @param {number} [seconds] how much to keep */
+  constructor(seconds = 30) {
+    this.#seconds = seconds;
+  }
+
+  /** The stream being recorded, or null. */
+  get stream() { return this.#stream; }
+  get running() { return this.#stream !== null; }
+
+  get seconds() { return this.#seconds; }
+  /** Change the buffer length; restarts the buffer, dropping what it held. */
+  set seconds(v) {
+    if (!Number.isFinite(v) || v <= 0 || v === this.#seconds) return;
+    this.#seconds = v;
+    if (this.#stream) this.start(this.#stream);
+  }
+
+  /** Seconds of footage a capture would hold now, up to twice `seconds`. */
+  get available() {
+    const slot = this.#oldest();
+    return slot ? (performance.now() - slot.startedAt) / 1000 : 0;
+  }
+
+  /** Start buffering `stream`, replacing any stream buffered before. */
+  start(stream) {
+    this.stop();
+    this.#stream = stream;
+    this.#startSlot(0);
+    this.#timers[1] = setTimeout(() => this.#startSlot(1), this.#seconds * 1000);
+  }
+
+  /** Stop recording and drop the buffer. */
+  stop() {
+    for (const t of this.#timers) clearTimeout(t);
+    for (const slot of this.#slots) {
+      if (slot && slot.recorder.state !== 'inactive') slot.recorder.stop();
+    }
+    this.#slots = [];
+    this.#stream = null;
+  }
+
+  /**
+   * The buffered footage as a WebM file, without interrupting recording.
+   * Holds `length` seconds, ending now; play from `length - seconds` for
+   * the replay itself.
+   * @returns {Promise<{blob: Blob, length: number}|null>} null when nothing is buffered
+   */
+  async capture() {
+    const slot = this.#oldest();
+    if (!slot) return null;
+    const length = (performance.now() - slot.startedAt) / 1000;
+    // Flush what the recorder holds so the file runs right up to now
+    const flushed = new Promise((resolve) => {
+      slot.recorder.addEventListener('dataavailable', resolve, { once: true });
+    });
+    slot.recorder.requestData();
+    await flushed;
+    return { blob: new Blob(slot.chunks, { type: 'video/webm' }), length };
+  }
+
+  /* ── Helpers ── */
+
+  #startSlot(i) {
+    const stream = this.#stream;
+    if (!stream) return;
+    const old = this.#slots[i];
+    if (old && old.recorder.state !== 'inactive') old.recorder.stop();
+
+    const mimeType = MIME_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+    const recorder = new MediaRecorder(stream, { mimeType });
+    /** @type {Slot} */
+    const slot = { recorder, chunks: [], startedAt: performance.now() };
+    recorder.addEventListener('dataavailable', (e) => {
+      if (e.data.size > 0) slot.chunks.push(e.data);
+    });
+    recorder.start(1000);
+    this.#slots[i] = slot;
+    // Start over after two lengths, so a recording never grows past that
+    this.#timers[i] = setTimeout(() => this.#startSlot(i), this.#seconds * 2000);
+  }
+
+  /** The slot that has been recording longest. */
+  #oldest() {
+    return this.#slots
+      .filter((s) => s && s.recorder.state === 'recording')
+      .reduce((a, b) => (!a || b.startedAt < a.startedAt ? b : a), null);
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Session — export/import the working state (overlay layers with their
+ * keyframes, annotations, the designed formation, media file name and
+ * playhead) as a JSON file.
+ * Imported values are only shape-checked here; layer configs go back through
+ * GridConfiguration's clamping setters when applied.
+ */
+
+import { downloadBlob, baseName } from './download.js';
+
+const SESSION_APP = 'flocking';
+const SESSION_VERSION = 3;
+const MAX_ROWS = 50;
+
+/**
+ * @typedef {{
+ *   layers: object[],
+ *   annotations: object[],
+ *   formation: object|null,
+ *   formationRows: number[]|null,
+ *   media: {fileName: string|null, currentTime: number}
+ * }} Session
+ */
+
+/**
+ * @param {{
+ *   layers: import('./layers.js').LayerStack,
+ *   annotations: import('./annotations.js').AnnotationStore,
+ *   formation: import('./formation.js').Formation,
+ *   mediaLoader: import('./media-loader.js').MediaLoader
+ * }} state
+ */
+export function buildSession({ layers, annotations, formation, mediaLoader }) {
+  return {
+    app: SESSION_APP,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    layers: layers.toJSON(),
+    annotations: annotations.toJSON(),
+    formation: formation.toJSON(),
+    media: {
+      fileName: mediaLoader.fileName,
+      currentTime: mediaLoader.currentTime,
+    },
+  };
+}
+
+/** Download a session object as `<media name>.flocking.json`. */
+export function downloadSession(session) {
+  const json = JSON.stringify(session, null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  downloadBlob(blob, `${baseName(session.media.fileName, 'session')}.flocking.json`);
+}
+
+/**
+ * Read and validate a session file.
+ * @param {File} file
+ * @returns {Promise<Session>}
+ */
+export async function readSessionFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error('Session file is not valid JSON.');
+  }
+  if (!data || data.app !== SESSION_APP) {
+    throw new Error('Not a Flocking session file.');
+  }
+  if (data.version > SESSION_VERSION) {
+    throw new Error('Session was saved by a newer version of Flocking.');
+  }
+
+  // Version 1 sessions had a single grid
+  let layers = data.layers;
+  if (!Array.isArray(layers) && data.grid && typeof data.grid === 'object') {
+    layers = [{ config: data.grid, keyframes: data.keyframes }];
+  }
+  if (!Array.isArray(layers)) throw new Error('Session has no grid layers.');
+
+  const media = data.media && typeof data.media === 'object' ? data.media : {};
+  return {
+    layers,
+    annotations: Array.isArray(data.annotations) ? data.annotations : [],
+    formation: data.formation && typeof data.formation === 'object' ? data.formation : null,
+    // Version 1 and 2 sessions only had row counts
+    formationRows: parseRows(data.formationRows),
+    media: {
+      fileName: typeof media.fileName === 'string' ? media.fileName : null,
+      currentTime: Number.isFinite(media.currentTime) ? Math.max(0, media.currentTime) : 0,
+    },
+  };
+}
+
+/** Row counts clamped to 1–20, or null if the file has none. */
+function parseRows(rows) {
+  if (!Array.isArray(rows)) return null;
+  const out = rows
+    .filter((n) => Number.isFinite(n))
+    .slice(0, MAX_ROWS)
+    .map((n) => Math.max(1, Math.min(20, Math.round(n))));
+  return out.length > 0 ? out : null;
+}
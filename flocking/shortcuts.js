@@ -0,0 +1,74 @@
+/**
+ * Shortcuts — every keyboard binding, in one table that the help overlay
+ * is built from. The handlers themselves live in app.js.
+ */
+
+/** Rotation presets on the number keys, in the order of the sidebar buttons. */
+export const ROTATION_PRESETS = [0, 45, 90, -45];
+
+/** Grid keyboard steps: [normal, with Shift]. */
+export const NUDGE_STEP = [1, 10];
+export const ROTATE_STEP = [1, 10];
+export const CELL_STEP = [1, 10];
+
+/**
+ * @typedef {{keys: string[], action: string}} Shortcut
+ * @type {{title: string, shortcuts: Shortcut[]}[]}
+ */
+export const SHORTCUT_GROUPS = [
+  {
+    title: 'Grid',
+    shortcuts: [
+      { keys: ['Tab'], action: 'Focus the grid (arrow keys then move it)' },
+      { keys: ['←', '↑', '→', '↓'], action: `Move the grid ${NUDGE_STEP[0]} px (Shift: ${NUDGE_STEP[1]} px), while it has focus` },
+      { keys: ['[', ']'], action: `Rotate ${ROTATE_STEP[0]}° (Shift: ${ROTATE_STEP[1]}°)` },
+      { keys: ['−', '+'], action: `Cell size ${CELL_STEP[0]} px (Shift: ${CELL_STEP[1]} px)` },
+      ...ROTATION_PRESETS.map((deg, i) => ({ keys: [String(i + 1)], action: `Rotation ${deg}°` })),
+    ],
+  },
+  {
+    title: 'Playback',
+    shortcuts: [
+      { keys: ['Space'], action: 'Play / pause' },
+      { keys: ['←', '→'], action: 'Previous / next frame (Shift: 10 frames)' },
+      { keys: ['J', 'K', 'L'], action: 'Shuttle back / stop / forward; repeat for faster' },
+      { keys: ['A', 'B'], action: 'Set loop start / end at the current frame' },
+    ],
+  },
+  {
+    title: 'Editing',
+    shortcuts: [
+      { keys: ['Ctrl', 'Z'], action: 'Undo' },
+      { keys: ['Ctrl', 'Shift', 'Z'], action: 'Redo (also Ctrl+Y)' },
+      { keys: ['Delete'], action: 'Delete the selected annotation or formation slot' },
+      { keys: ['Esc'], action: 'Cancel point picking; clear the selection' },
+      { keys: ['?'], action: 'Show this list' },
+    ],
+  },
+];
+
+/**
+ * Fill `container` with the shortcut table.
+ * @param {HTMLElement} container
+ */
+export function renderShortcuts(container) {
+  container.innerHTML = '';
+  for (const group of SHORTCUT_GROUPS) {
+    const title = document.createElement('h4');
+    title.textContent = group.title;
+    const list = document.createElement('dl');
+    list.className = 'shortcut-list';
+    for (const { keys, action } of group.shortcuts) {
+      const dt = document.createElement('dt');
+      for (const key of keys) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = key;
+        dt.appendChild(kbd);
+      }
+      const dd = document.createElement('dd');
+      dd.textContent = action;
+      list.append(dt, dd);
+    }
+    container.append(title, list);
+  }
+}
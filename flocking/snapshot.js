@@ -1,75 +1,276 @@
 /**
- * Snapshot — composites media + grid onto offscreen canvas, triggers PNG download.
+ * Snapshot — composites media + grid + formation + annotations and
+ * triggers a download: a PNG, JPEG or WebP, or an SVG/PDF where the
+ * overlays stay vector and only the frame itself is embedded as an image.
+ * With a second clip open for comparison, the whole comparison view is
+ * captured.
+ *
+ * Overlays are placed in the media area's CSS pixels. At native resolution
+ * the composite is scaled up so the media lands 1:1 on output pixels, and
+ * the grid is carried into media space with it.
  * Port of takeSnapshot + drawGrid from VideoGridViewModel.swift.
  */
 
+import { downloadBlob, baseName } from './download.js';
+import { PdfDocument } from './pdf.js';
+import { VectorContext } from './vector.js';
+import { formatTimecode } from './timeline.js';
+
+export const SNAPSHOT_FORMATS = ['png', 'jpeg', 'webp', 'svg', 'pdf'];
+
+const RASTER_TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+/** CSS pixels → PDF points (96 dpi → 72 dpi). */
+const PX_TO_PT = 0.75;
+/** Longest side of a raster snapshot, in px; browsers refuse larger canvases. */
+const MAX_SIDE = 16384;
+
+const STORAGE_KEY = 'flocking_snapshot';
+
+/**
+ * @typedef {{
+ *   format: 'png'|'jpeg'|'webp'|'svg'|'pdf',
+ *   quality: number,
+ *   resolution: 'screen'|'native',
+ *   area: 'view'|'media',
+ *   caption: boolean
+ * }} SnapshotOptions
+ *   quality: JPEG/WebP quality, 0–1. resolution: 'native' draws media
+ *   pixels 1:1 (raster formats only). area: 'media' crops away the
+ *   letterbox. caption: burn in the file name and video timecode.
+ */
+
+/** @type {SnapshotOptions} */
+export const DEFAULT_SNAPSHOT_OPTIONS = {
+  format: 'png',
+  quality: 0.92,
+  resolution: 'screen',
+  area: 'view',
+  caption: false,
+};
+
+/** Options last used, from localStorage. */
+export function loadSnapshotOptions() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    // Unreadable settings fall back to the defaults
+  }
+  return normalizeOptions(saved);
+}
+
+/** @param {SnapshotOptions} options */
+export function saveSnapshotOptions(options) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeOptions(options)));
+}
+
+/**
+ * Size of the snapshot `options` would produce, in output pixels, or null
+ * when there is nothing to capture.
+ * @param {{mediaLoader: import('./media-loader.js').MediaLoader, mediaArea: HTMLElement}} deps
+ * @param {SnapshotOptions} options
+ * @returns {{width: number, height: number}|null}
+ */
+export function snapshotSize({ mediaLoader, mediaArea }, options) {
+  const layout = snapshotLayout(mediaLoader, mediaArea, normalizeOptions(options));
+  return layout && { width: layout.outW, height: layout.outH };
+}
+
 /**
  * @param {{
  *   mediaLoader: import('./media-loader.js').MediaLoader,
  *   gridRenderer: import('./grid-renderer.js').GridRenderer,
- *   mediaArea: HTMLElement
+ *   formationEditor?: import('./formation-editor.js').FormationEditor,
+ *   annotationRenderer?: import('./annotation-renderer.js').AnnotationRenderer,
+ *   mediaArea: HTMLElement,
+ *   options?: Partial<SnapshotOptions>
  * }} deps
  */
-export function captureSnapshot({ mediaLoader, gridRenderer, mediaArea }) {
-  if (!mediaLoader.hasMedia) return;
-
-  const video = mediaLoader.videoElement;
-  const image = mediaLoader.imageElement;
-  const mediaType = mediaLoader.mediaType;
-
-  // Determine source dimensions (natural media size)
-  let srcW, srcH;
-  if (mediaType === 'video') {
-    srcW = video.videoWidth;
-    srcH = video.videoHeight;
-  } else {
-    srcW = image.naturalWidth;
-    srcH = image.naturalHeight;
-  }
+export function captureSnapshot({ mediaLoader, gridRenderer, formationEditor = null, annotationRenderer = null, mediaArea, options = {} }) {
+  const opts = normalizeOptions(options);
+  const layout = snapshotLayout(mediaLoader, mediaArea, opts);
+  if (!layout) return;
+  const { source, srcW, srcH, containerW, containerH, compare, cmpW, cmpH, sideBySide, box, k, outW, outH } = layout;
+  const time = mediaLoader.mediaType === 'video' ? mediaLoader.currentTime : null;
 
-  if (!srcW || !srcH) return;
+  /** Paint the composite, in media area CSS px, onto a canvas context or a VectorContext. */
+  const compose = (ctx) => {
+    drawMediaContained(ctx, source, srcW, srcH, containerW, containerH);
+    if (compare && !sideBySide) {
+      const { x, y, scale } = containRect(cmpW, cmpH, containerW, containerH);
+      ctx.globalAlpha = mediaLoader.compareOpacity;
+      ctx.drawImage(compare, x, y, cmpW * scale, cmpH * scale);
+      ctx.globalAlpha = 1;
+    }
+    if (sideBySide) {
+      ctx.save();
+      ctx.translate(containerW, 0);
+      drawMediaContained(ctx, compare, cmpW, cmpH, containerW, containerH);
+      gridRenderer.drawTo(ctx, containerW, containerH);
+      ctx.restore();
+    }
 
-  // Use the container's CSS size as the composite size (matches what the user sees)
-  const containerW = mediaArea.clientWidth;
-  const containerH = mediaArea.clientHeight;
+    // Draw grid overlay
+    gridRenderer.drawTo(ctx, containerW, containerH);
+    formationEditor?.drawTo(ctx, containerW, containerH);
+
+    // Annotations showing at the current frame
+    annotationRenderer?.drawTo(ctx, containerW, containerH, time);
+  };
+
+  /** Composite cut to `box` and scaled to the output, then the caption. */
+  const paint = (ctx) => {
+    ctx.save();
+    ctx.scale(k, k);
+    ctx.translate(-box.x, -box.y);
+    compose(ctx);
+    ctx.restore();
+    if (opts.caption) {
+      const timecode = time === null ? '' : ` \u00b7 ${formatTimecode(time, mediaLoader.frameRate)}`;
+      drawCaption(ctx, `${mediaLoader.fileName || 'Untitled'}${timecode}`, outW, outH);
+    }
+  };
+  const name = `${baseName(mediaLoader.fileName, 'snapshot')}_grid`;
+
+  if (opts.format === 'svg') {
+    const ctx = new VectorContext();
+    paint(ctx);
+    downloadBlob(new Blob([ctx.toSVG(outW, outH)], { type: 'image/svg+xml' }), `${name}.svg`);
+    return;
+  }
+
+  if (opts.format === 'pdf') {
+    const pdf = new PdfDocument();
+    pdf.addPage(outW * PX_TO_PT, outH * PX_TO_PT);
+    const ctx = new VectorContext();
+    ctx.scale(PX_TO_PT, PX_TO_PT);
+    paint(ctx);
+    ctx.drawToPdf(pdf);
+    downloadBlob(pdf.toBlob(), `${name}.pdf`);
+    return;
+  }
 
-  // Create offscreen canvas at container size
   const offscreen = document.createElement('canvas');
-  offscreen.width = containerW;
-  offscreen.height = containerH;
-  const ctx = offscreen.getContext('2d');
+  offscreen.width = outW;
+  offscreen.height = outH;
+  paint(offscreen.getContext('2d'));
 
-  // Draw media centered with object-fit: contain logic
-  const scale = Math.min(containerW / srcW, containerH / srcH);
-  const drawW = srcW * scale;
-  const drawH = srcH * scale;
-  const drawX = (containerW - drawW) / 2;
-  const drawY = (containerH - drawH) / 2;
+  // Browsers without a WebP encoder hand back a PNG; name the file for what it is
+  offscreen.toBlob((blob) => {
+    if (!blob) return;
+    downloadBlob(blob, `${name}.${EXTENSIONS[blob.type] ?? 'png'}`);
+  }, RASTER_TYPES[opts.format], opts.quality);
+}
+
+/**
+ * Draw media centered with object-fit: contain logic over a black background,
+ * matching how the media area displays it.
+ * @param {CanvasRenderingContext2D|VectorContext} ctx
+ * @param {CanvasImageSource} source
+ * @param {number} srcW natural media width
+ * @param {number} srcH natural media height
+ * @param {number} width composite width
+ * @param {number} height composite height
+ */
+export function drawMediaContained(ctx, source, srcW, srcH, width, height) {
+  const { x, y, scale } = containRect(srcW, srcH, width, height);
 
   // Black background
   ctx.fillStyle = '#000';
-  ctx.fillRect(0, 0, containerW, containerH);
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.drawImage(source, x, y, srcW * scale, srcH * scale);
+}
 
-  if (mediaType === 'video') {
-    ctx.drawImage(video, drawX, drawY, drawW, drawH);
-  } else {
-    ctx.drawImage(image, drawX, drawY, drawW, drawH);
+/**
+ * Where object-fit: contain puts media of srcW×srcH inside width×height.
+ * @returns {{x: number, y: number, scale: number}} top-left offset and media px → composite px scale
+ */
+export function containRect(srcW, srcH, width, height) {
+  const scale = Math.min(width / srcW, height / srcH);
+  return {
+    x: (width - srcW * scale) / 2,
+    y: (height - srcH * scale) / 2,
+    scale,
+  };
+}
+
+/* ── Helpers ── */
+
+/** @returns {SnapshotOptions} */
+function normalizeOptions(raw) {
+  const o = { ...DEFAULT_SNAPSHOT_OPTIONS, ...(raw && typeof raw === 'object' ? raw : {}) };
+  return {
+    format: SNAPSHOT_FORMATS.includes(o.format) ? o.format : DEFAULT_SNAPSHOT_OPTIONS.format,
+    quality: Number.isFinite(o.quality) ? Math.max(0.1, Math.min(1, o.quality)) : DEFAULT_SNAPSHOT_OPTIONS.quality,
+    resolution: o.resolution === 'native' ? 'native' : 'screen',
+    area: o.area === 'media' ? 'media' : 'view',
+    caption: Boolean(o.caption),
+  };
+}
+
+/**
+ * Where everything goes: the sources, the part of the composite to keep
+ * (`box`, in media area CSS px) and the scale `k` from there to output px.
+ * @param {import('./media-loader.js').MediaLoader} mediaLoader
+ * @param {HTMLElement} mediaArea
+ * @param {SnapshotOptions} opts
+ */
+function snapshotLayout(mediaLoader, mediaArea, opts) {
+  if (!mediaLoader.hasMedia) return null;
+  const source = mediaLoader.mediaType === 'video' ? mediaLoader.videoElement : mediaLoader.imageElement;
+
+  // Natural media size
+  const { width: srcW, height: srcH } = mediaLoader.mediaSize;
+  // Use the container's CSS size as the composite size (matches what the user sees)
+  const containerW = mediaArea.clientWidth;
+  const containerH = mediaArea.clientHeight;
+  if (!srcW || !srcH || !containerW || !containerH) return null;
+
+  // Second clip, beside the first (a second pane of the same size) or blended over it
+  const { width: cmpW, height: cmpH } = mediaLoader.compareSize;
+  const compare = cmpW && cmpH ? mediaLoader.compareElement : null;
+  const sideBySide = Boolean(compare) && mediaLoader.compareMode === 'side';
+
+  const rect = containRect(srcW, srcH, containerW, containerH);
+  let box = { x: 0, y: 0, width: sideBySide ? containerW * 2 : containerW, height: containerH };
+  if (opts.area === 'media') {
+    // Bounds of the media in each pane, without the letterbox
+    const panes = [{ x: rect.x, y: rect.y, w: srcW * rect.scale, h: srcH * rect.scale }];
+    if (sideBySide) {
+      const r = containRect(cmpW, cmpH, containerW, containerH);
+      panes.push({ x: containerW + r.x, y: r.y, w: cmpW * r.scale, h: cmpH * r.scale });
+    }
+    const x0 = Math.min(...panes.map((p) => p.x));
+    const y0 = Math.min(...panes.map((p) => p.y));
+    const x1 = Math.max(...panes.map((p) => p.x + p.w));
+    const y1 = Math.max(...panes.map((p) => p.y + p.h));
+    box = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
   }
 
-  // Draw grid overlay
-  gridRenderer.drawTo(ctx, containerW, containerH);
+  // Native: one output pixel per media pixel. Vector formats stay in CSS px.
+  const vector = opts.format === 'svg' || opts.format === 'pdf';
+  let k = !vector && opts.resolution === 'native' ? 1 / rect.scale : 1;
+  k = Math.min(k, MAX_SIDE / Math.max(box.width, box.height));
+  const outW = Math.max(1, Math.round(box.width * k));
+  const outH = Math.max(1, Math.round(box.height * k));
 
-  // Trigger download
-  offscreen.toBlob((blob) => {
-    if (!blob) return;
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    const baseName = (mediaLoader.fileName || 'snapshot').replace(/\.[^.]+$/, '');
-    a.download = `${baseName}_grid.png`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  }, 'image/png');
+  return { source, srcW, srcH, containerW, containerH, compare, cmpW, cmpH, sideBySide, box, k, outW, outH };
+}
+
+/** File name and timecode, white on a dark band along the bottom edge. */
+function drawCaption(ctx, text, width, height) {
+  const size = Math.max(12, Math.round(Math.min(width, height) * 0.03));
+  const pad = Math.round(size * 0.6);
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(0, height - size - pad * 2, width, size + pad * 2);
+  ctx.font = `600 ${size}px system-ui, sans-serif`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#fff';
+  ctx.fillText(text, pad, height - pad - size / 2);
+  ctx.restore();
 }
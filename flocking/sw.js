@@ -0,0 +1,85 @@
+/**
+ * Service worker — keeps Flocking working with no connection. Everything the
+ * app loads is cached on install and served from the cache from then on.
+ *
+ * What to cache isn't listed by hand: install starts at the page and follows
+ * its links, the manifest's icons, and every module's imports, so a new
+ * module is offline as soon as something imports it. If any of them can't
+ * be fetched the install fails, and the error names it.
+ *
+ * Releasing: bump VERSION in the same commit as any change to the app. The
+ * cache is served first, so a deploy that leaves this file untouched is never
+ * seen by installed copies. A changed worker installs next to the running one
+ * and waits; the page then offers to reload into it (pwa.js).
+ */
+
+const VERSION = 1;
+const CACHE = `flocking-v${VERSION}`;
+const SCOPE = '/flocking/';
+
+/** Where each kind of file names the files it needs. */
+const REFERENCES = [
+  { test: (path) => path.endsWith('/'), pattern: /\b(?:src|href)="([^"]+)"/g },
+  { test: (path) => path.endsWith('.js'), pattern: /(?:\bfrom|^import)\s*'([^']+)'/gm },
+  { test: (path) => path.endsWith('.css'), pattern: /url\(\s*['"]?([^'")]+)/g },
+  { test: (path) => path.endsWith('.webmanifest'), pattern: /"src"\s*:\s*"([^"]+)"/g },
+];
+
+self.addEventListener('install', (e) => {
+  e.waitUntil(precache().catch((err) => {
+    console.error(`Flocking v${VERSION} was not cached for offline use:`, err);
+    throw err;
+  }));
+});
+
+self.addEventListener('activate', (e) => {
+  e.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key.startsWith('flocking-') && key !== CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Sent by the page when the user accepts the update
+self.addEventListener('message', (e) => {
+  if (e.data === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (e) => {
+  const { request } = e;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== location.origin || !url.pathname.startsWith(SCOPE)) return;
+
+  // Any page in scope is the app, including file-handler launches
+  const key = request.mode === 'navigate' ? SCOPE : request;
+  e.respondWith(
+    caches.match(key, { ignoreSearch: true }).then((hit) => hit ?? fetch(request)),
+  );
+});
+
+/** Cache the page and everything reachable from it. */
+async function precache() {
+  const cache = await caches.open(CACHE);
+  const seen = new Set([SCOPE]);
+  const pending = [SCOPE];
+  while (pending.length > 0) {
+    const path = pending.pop();
+    // 'reload' skips the HTTP cache, so a new version never caches old files
+    const response = await fetch(path, { cache: 'reload' });
+    if (!response.ok) throw new Error(`${path} (HTTP ${response.status})`);
+    await cache.put(path, response.clone());
+
+    const refs = REFERENCES.find((r) => r.test(path));
+    if (!refs) continue;
+    const text = await response.text();
+    for (const [, ref] of text.matchAll(refs.pattern)) {
+      const url = new URL(ref, location.origin + path);
+      if (url.origin !== location.origin || !url.pathname.startsWith(SCOPE)) continue;
+      if (seen.has(url.pathname)) continue;
+      seen.add(url.pathname);
+      pending.push(url.pathname);
+    }
+  }
+}
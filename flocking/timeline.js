@@ -0,0 +1,190 @@
+/**
+ * Timeline — transport and keyframe strip under the media area.
+ * Shows a seek bar with timecode, the A/B loop region, keyframe markers and
+ * a playhead for the loaded video; click or drag on the strip to scrub,
+ * click a marker to jump to it.
+ */
+
+import { KEYFRAME_EPSILON } from './keyframes.js';
+
+/**
+ * Format seconds as m:ss.cc
+ * @param {number} t
+ */
+export function formatTime(t) {
+  const s = Math.max(0, t || 0);
+  const m = Math.floor(s / 60);
+  const rest = (s - m * 60).toFixed(2).padStart(5, '0');
+  return `${m}:${rest}`;
+}
+
+/**
+ * Format seconds as SMPTE-style HH:MM:SS:FF timecode.
+ * @param {number} t
+ * @param {number} fps
+ */
+export function formatTimecode(t, fps) {
+  const rate = Math.max(1, Math.round(fps));
+  const totalFrames = Math.floor(Math.max(0, t || 0) * rate + 1e-3);
+  const ff = totalFrames % rate;
+  const totalSec = Math.floor(totalFrames / rate);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(totalSec / 3600))}:${pad(Math.floor(totalSec / 60) % 60)}:${pad(totalSec % 60)}:${pad(ff)}`;
+}
+
+export class Timeline {
+  /** @type {import('./layers.js').LayerStack} */
+  #layers;
+  /** @type {import('./media-loader.js').MediaLoader} */
+  #mediaLoader;
+  /** @type {HTMLElement} */
+  #trackEl;
+  /** @type {HTMLElement} */
+  #playhead;
+  /** @type {HTMLInputElement} */
+  #seekBar;
+  /** @type {HTMLElement} */
+  #timecode;
+  /** @type {HTMLElement} */
+  #loopRegion;
+  /** @type {number} */
+  #rafId = 0;
+  #lastTime = NaN;
+  #scrubbing = false;
+  #seekBarActive = false;
+  /** Marker state last rendered, to skip rebuilding on unrelated changes. */
+  #renderedKey = '';
+
+  /**
+   * @param {{
+   *   layers: import('./layers.js').LayerStack,
+   *   mediaLoader: import('./media-loader.js').MediaLoader,
+   *   trackEl: HTMLElement,
+   *   playheadEl: HTMLElement,
+   *   seekBar: HTMLInputElement,
+   *   timecodeEl: HTMLElement,
+   *   loopRegionEl: HTMLElement
+   * }} opts
+   */
+  constructor({ layers, mediaLoader, trackEl, playheadEl, seekBar, timecodeEl, loopRegionEl }) {
+    this.#layers = layers;
+    this.#mediaLoader = mediaLoader;
+    this.#trackEl = trackEl;
+    this.#playhead = playheadEl;
+    this.#seekBar = seekBar;
+    this.#timecode = timecodeEl;
+    this.#loopRegion = loopRegionEl;
+
+    seekBar.addEventListener('input', () => {
+      this.#seekBarActive = true;
+      mediaLoader.seek(parseFloat(seekBar.value));
+    });
+    seekBar.addEventListener('change', () => { this.#seekBarActive = false; });
+
+    layers.onChange(() => this.#renderMarkers());
+    mediaLoader.onChange(() => this.#render());
+    mediaLoader.videoElement.addEventListener('durationchange', () => this.#render());
+
+    trackEl.addEventListener('pointerdown', this.#onPointerDown);
+    trackEl.addEventListener('pointermove', this.#onPointerMove);
+    trackEl.addEventListener('pointerup', this.#onPointerUp);
+
+    this.#render();
+    this.#loop();
+  }
+
+  /* ── Rendering ── */
+
+  /** Keyframes of the selected layer. */
+  get #track() { return this.#layers.selected.keyframes; }
+
+  /** Update the seek bar range and loop region, then the markers. */
+  #render() {
+    const ml = this.#mediaLoader;
+    const duration = ml.duration;
+    this.#seekBar.max = duration || 1;
+    this.#seekBar.disabled = !duration;
+    this.#lastTime = NaN;
+
+    this.#loopRegion.hidden = !duration || (ml.loopIn === null && ml.loopOut === null);
+    if (duration) {
+      const a = ml.loopIn ?? 0;
+      const b = ml.loopOut ?? duration;
+      this.#loopRegion.style.left = `${(a / duration) * 100}%`;
+      this.#loopRegion.style.width = `${((b - a) / duration) * 100}%`;
+    }
+
+    this.#renderedKey = '';
+    this.#renderMarkers();
+  }
+
+  /** Rebuild the keyframe markers when the selected layer's keyframe times change. */
+  #renderMarkers() {
+    const duration = this.#mediaLoader.duration;
+    const keyframes = duration ? this.#track.keyframes : [];
+    const key = `${this.#layers.selected.id}:${duration}:${keyframes.map((k) => k.time).join(',')}`;
+    if (key === this.#renderedKey) return;
+    this.#renderedKey = key;
+    this.#lastTime = NaN;
+
+    this.#trackEl.querySelectorAll('.keyframe-marker').forEach((el) => el.remove());
+    for (const kf of keyframes) {
+      const marker = document.createElement('button');
+      marker.className = 'keyframe-marker';
+      marker.style.left = `${(kf.time / duration) * 100}%`;
+      marker.dataset.time = kf.time;
+      marker.title = `Keyframe at ${formatTime(kf.time)}`;
+      marker.addEventListener('pointerdown', (e) => e.stopPropagation());
+      marker.addEventListener('click', () => this.#mediaLoader.seek(kf.time));
+      this.#trackEl.appendChild(marker);
+    }
+  }
+
+  /** requestAnimationFrame loop — moves the playhead when the time changes. */
+  #loop() {
+    this.#rafId = requestAnimationFrame(() => this.#loop());
+    const t = this.#mediaLoader.currentTime;
+    if (t === this.#lastTime) return;
+    this.#lastTime = t;
+
+    const duration = this.#mediaLoader.duration;
+    const fps = this.#mediaLoader.frameRate;
+    this.#playhead.style.left = duration ? `${(t / duration) * 100}%` : '0';
+    if (!this.#seekBarActive) this.#seekBar.value = t;
+    this.#timecode.textContent = `${formatTimecode(t, fps)} / ${formatTimecode(duration, fps)}`;
+    this.#trackEl.querySelectorAll('.keyframe-marker').forEach((el) => {
+      el.classList.toggle('current', Math.abs(parseFloat(el.dataset.time) - t) < KEYFRAME_EPSILON);
+    });
+  }
+
+  /* ── Scrubbing ── */
+
+  #onPointerDown = (e) => {
+    if (!this.#mediaLoader.duration) return;
+    this.#scrubbing = true;
+    this.#trackEl.setPointerCapture(e.pointerId);
+    this.#seekToPointer(e);
+  };
+
+  #onPointerMove = (e) => {
+    if (this.#scrubbing) this.#seekToPointer(e);
+  };
+
+  #onPointerUp = () => {
+    this.#scrubbing = false;
+  };
+
+  /** @param {PointerEvent} e */
+  #seekToPointer(e) {
+    const rect = this.#trackEl.getBoundingClientRect();
+    const frac = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    this.#mediaLoader.seek(frac * this.#mediaLoader.duration);
+  }
+
+  destroy() {
+    cancelAnimationFrame(this.#rafId);
+    this.#trackEl.removeEventListener('pointerdown', this.#onPointerDown);
+    this.#trackEl.removeEventListener('pointermove', this.#onPointerMove);
+    this.#trackEl.removeEventListener('pointerup', this.#onPointerUp);
+  }
+}
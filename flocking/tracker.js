@@ -0,0 +1,247 @@
+/**
+ * Tracker — follows points on the subject from frame to frame by template
+ * matching on canvas pixel data, then turns the track into grid keyframes
+ * so the grid stays pinned to the formation while the camera moves.
+ *
+ * Each point's neighbourhood is cut from the first frame as a template and
+ * searched for around the point's last position in every following frame,
+ * scored by normalized cross-correlation on a downscaled grayscale copy.
+ */
+
+/** Longest side of the frame copy that gets searched, in px. */
+const ANALYSIS_SIZE = 640;
+/** Template half-size and search radius, in analysis px. */
+const PATCH_RADIUS = 8;
+const SEARCH_RADIUS = 24;
+/** Below this match score the point is lost. */
+const MIN_SCORE = 0.5;
+/** Above this the template is refreshed from the match, to follow slow changes in look. */
+const REFRESH_SCORE = 0.85;
+const REFRESH_MIX = 0.2;
+
+/**
+ * @typedef {{x: number, y: number}} Point media px
+ * @typedef {{time: number, points: Point[]}} TrackSample
+ */
+
+/**
+ * Track points from `start` to `end` on a separate video element, leaving
+ * the user's playback position alone. Stops early where a point is lost.
+ * @param {{
+ *   mediaLoader: import('./media-loader.js').MediaLoader,
+ *   points: Point[],
+ *   start: number,
+ *   end: number,
+ *   step?: number,
+ *   onProgress?: (fraction: number) => void,
+ *   signal?: AbortSignal
+ * }} opts step is in frames
+ * @returns {Promise<{samples: TrackSample[], lostAt: number|null}>}
+ */
+export async function trackPoints({ mediaLoader, points, start, end, step = 1, onProgress = () => {}, signal }) {
+  const src = document.createElement('video');
+  src.muted = true;
+  src.playsInline = true;
+  src.src = mediaLoader.videoElement.currentSrc;
+  await once(src, 'loadedmetadata');
+
+  const srcW = src.videoWidth;
+  const srcH = src.videoHeight;
+  const k = Math.min(1, ANALYSIS_SIZE / Math.max(srcW, srcH));
+  const w = Math.round(srcW * k);
+  const h = Math.round(srcH * k);
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  const frame = async (time) => {
+    src.currentTime = time;
+    await once(src, 'seeked');
+    ctx.drawImage(src, 0, 0, w, h);
+    return grayscale(ctx.getImageData(0, 0, w, h).data, w, h);
+  };
+
+  const dt = step / mediaLoader.frameRate;
+  const total = Math.max(1, Math.floor((end - start) / dt));
+  let pos = points.map((p) => ({ x: p.x * k, y: p.y * k }));
+  const first = await frame(start);
+  const templates = pos.map((p) => patch(first, p.x, p.y));
+  if (templates.some((t) => !t)) throw new Error('Pick points further from the edge of the frame.');
+
+  const samples = [{ time: start, points: points.map((p) => ({ ...p })) }];
+  let lostAt = null;
+  try {
+    for (let i = 1; i <= total && !signal?.aborted; i++) {
+      const time = Math.min(end, start + i * dt);
+      const img = await frame(time);
+      const next = [];
+      for (let j = 0; j < pos.length; j++) {
+        const m = match(img, templates[j], pos[j]);
+        if (!m || m.score < MIN_SCORE) break;
+        if (m.score > REFRESH_SCORE) refresh(templates[j], patch(img, Math.round(m.x), Math.round(m.y)));
+        next.push(m);
+      }
+      if (next.length < pos.length) {
+        lostAt = time;
+        break;
+      }
+      pos = next;
+      samples.push({ time, points: pos.map((p) => ({ x: p.x / k, y: p.y / k })) });
+      onProgress(i / total);
+    }
+  } finally {
+    src.removeAttribute('src');
+    src.load();
+  }
+  return { samples, lostAt };
+}
+
+/**
+ * Grid keyframes that carry the grid along with the tracked points: it
+ * follows the first point, and turns with the line through both when there
+ * are two.
+ * @param {TrackSample[]} samples
+ * @param {{positionX: number, positionY: number, rotation: number, cellSize: number}} base grid at the first sample
+ * @param {{x: number, y: number, scale: number}} rect media placement (see mediaRect)
+ * @param {number} width media area CSS width
+ * @param {number} height media area CSS height
+ * @returns {import('./keyframes.js').Keyframe[]}
+ */
+export function trackKeyframes(samples, base, rect, width, height) {
+  if (samples.length === 0) return [];
+  const screen = (p) => ({ x: rect.x + p.x * rect.scale, y: rect.y + p.y * rect.scale });
+  const angleOf = (pts) => (pts.length > 1 ? Math.atan2(pts[1].y - pts[0].y, pts[1].x - pts[0].x) : 0);
+
+  const anchor0 = screen(samples[0].points[0]);
+  const angle0 = angleOf(samples[0].points);
+  // Grid center relative to the anchor point
+  const cx = width / 2 + base.positionX - anchor0.x;
+  const cy = height / 2 + base.positionY - anchor0.y;
+
+  return samples.map(({ time, points }) => {
+    const anchor = screen(points[0]);
+    const turn = angleOf(points) - angle0;
+    const cos = Math.cos(turn);
+    const sin = Math.sin(turn);
+    let rotation = base.rotation + turn * 180 / Math.PI;
+    rotation = ((rotation + 540) % 360) - 180;
+    return {
+      time,
+      positionX: anchor.x + cx * cos - cy * sin - width / 2,
+      positionY: anchor.y + cx * sin + cy * cos - height / 2,
+      rotation,
+      cellSize: base.cellSize,
+    };
+  });
+}
+
+/* ── Template matching ── */
+
+/** @typedef {{data: Float32Array, w: number, h: number}} Gray */
+
+/** @returns {Gray} */
+function grayscale(rgba, w, h) {
+  const data = new Float32Array(w * h);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  }
+  return { data, w, h };
+}
+
+/** Square patch centered on (x, y), or null when it would leave the frame. */
+function patch(img, x, y) {
+  const r = PATCH_RADIUS;
+  x = Math.round(x);
+  y = Math.round(y);
+  if (x - r < 0 || y - r < 0 || x + r >= img.w || y + r >= img.h) return null;
+  const size = r * 2 + 1;
+  const out = new Float32Array(size * size);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) out[dy * size + dx] = img.data[(y - r + dy) * img.w + x - r + dx];
+  }
+  return out;
+}
+
+/** Blend a fresh patch into the template. */
+function refresh(template, fresh) {
+  if (!fresh) return;
+  for (let i = 0; i < template.length; i++) template[i] += (fresh[i] - template[i]) * REFRESH_MIX;
+}
+
+/**
+ * Best match for `template` within SEARCH_RADIUS of `near`, with sub-pixel
+ * refinement, or null when the search window leaves the frame.
+ * @returns {{x: number, y: number, score: number}|null}
+ */
+function match(img, template, near) {
+  const r = PATCH_RADIUS;
+  const size = r * 2 + 1;
+  const n = size * size;
+  let tMean = 0;
+  for (const v of template) tMean += v;
+  tMean /= n;
+  let tVar = 0;
+  for (const v of template) tVar += (v - tMean) ** 2;
+  if (tVar === 0) return null;
+
+  const x0 = Math.max(r, Math.round(near.x) - SEARCH_RADIUS);
+  const x1 = Math.min(img.w - r - 1, Math.round(near.x) + SEARCH_RADIUS);
+  const y0 = Math.max(r, Math.round(near.y) - SEARCH_RADIUS);
+  const y1 = Math.min(img.h - r - 1, Math.round(near.y) + SEARCH_RADIUS);
+  if (x1 < x0 || y1 < y0) return null;
+
+  const cols = x1 - x0 + 1;
+  const scores = new Float32Array(cols * (y1 - y0 + 1)).fill(-1);
+  let best = -1;
+  let bx = x0;
+  let by = y0;
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      let sum = 0;
+      let sumSq = 0;
+      let cross = 0;
+      for (let dy = 0; dy < size; dy++) {
+        const row = (y - r + dy) * img.w + x - r;
+        for (let dx = 0; dx < size; dx++) {
+          const v = img.data[row + dx];
+          sum += v;
+          sumSq += v * v;
+          cross += v * template[dy * size + dx];
+        }
+      }
+      const variance = sumSq - (sum * sum) / n;
+      const score = variance > 0 ? (cross - sum * tMean) / Math.sqrt(variance * tVar) : -1;
+      scores[(y - y0) * cols + (x - x0)] = score;
+      if (score > best) {
+        best = score;
+        bx = x;
+        by = y;
+      }
+    }
+  }
+
+  // Parabola through the neighbouring scores on each axis
+  const at = (x, y) => (x < x0 || x > x1 || y < y0 || y > y1 ? best : scores[(y - y0) * cols + (x - x0)]);
+  const offset = (a, b) => {
+    const denom = a - 2 * best + b;
+    return denom < 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - b)) / denom)) : 0;
+  };
+  return {
+    x: bx + offset(at(bx - 1, by), at(bx + 1, by)),
+    y: by + offset(at(bx, by - 1), at(bx, by + 1)),
+    score: best,
+  };
+}
+
+/* ── Helpers ── */
+
+/** Resolve on the first `type` event from `target`; reject on its `error` event. */
+function once(target, type) {
+  return new Promise((resolve, reject) => {
+    target.addEventListener(type, resolve, { once: true });
+    target.addEventListener('error', () => {
+      reject(new Error(`Tracking failed waiting for "${type}"`));
+    }, { once: true });
+  });
+}
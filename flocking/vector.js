@@ -0,0 +1,498 @@
+/**
+ * VectorContext — records drawing made through the subset of the Canvas 2D
+ * API Flocking's painters use (paths, arcs, text, transforms, images) and
+ * writes it out as SVG markup or as PDF page content.
+ *
+ * The same functions that paint the live canvases (drawGrid,
+ * drawParachutePerson, drawAnnotations, …) paint into it unchanged, so
+ * exports are exact vector copies of what is on screen.
+ */
+
+import { num, pdfString } from './pdf.js';
+
+/** Font used in place of the CSS stacks the painters ask for. */
+const SVG_FONT = 'Helvetica, Arial, sans-serif';
+/** Baseline offsets as a fraction of the font size, matching Helvetica's metrics. */
+const BASELINE_SHIFT = { top: 0.8, hanging: 0.8, middle: 0.35, alphabetic: 0, bottom: -0.2, ideographic: -0.2 };
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+/** Longest side of a raster image embedded in an export. */
+const MAX_IMAGE_SIZE = 4096;
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * @typedef {{r: number, g: number, b: number, a: number}} Color
+ * @typedef {(string|number)[]} Segment path command in device units: ['M', x, y], ['L', x, y], ['C', x1, y1, x2, y2, x, y] or ['Z']
+ */
+
+export class VectorContext {
+  /** @type {object[]} recorded drawing, in order */
+  #ops = [];
+  /** @type {Segment[]} */
+  #path = [];
+  /** Whether the path has a current point to join arcs to. */
+  #hasPoint = false;
+  /** @type {object[]} */
+  #stack = [];
+  #state = {
+    transform: IDENTITY,
+    fillStyle: '#000',
+    strokeStyle: '#000',
+    lineWidth: 1,
+    lineCap: 'butt',
+    lineJoin: 'miter',
+    lineDash: [],
+    globalAlpha: 1,
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+  };
+
+  /* ── State ── */
+
+  get fillStyle() { return this.#state.fillStyle; }
+  set fillStyle(v) { if (typeof v === 'string') this.#state.fillStyle = v; }
+  get strokeStyle() { return this.#state.strokeStyle; }
+  set strokeStyle(v) { if (typeof v === 'string') this.#state.strokeStyle = v; }
+  get lineWidth() { return this.#state.lineWidth; }
+  set lineWidth(v) { if (Number.isFinite(v) && v > 0) this.#state.lineWidth = v; }
+  get lineCap() { return this.#state.lineCap; }
+  set lineCap(v) { if (v in LINE_CAPS) this.#state.lineCap = v; }
+  get lineJoin() { return this.#state.lineJoin; }
+  set lineJoin(v) { if (v in LINE_JOINS) this.#state.lineJoin = v; }
+  get globalAlpha() { return this.#state.globalAlpha; }
+  set globalAlpha(v) { if (Number.isFinite(v) && v >= 0 && v <= 1) this.#state.globalAlpha = v; }
+  get font() { return this.#state.font; }
+  set font(v) { this.#state.font = String(v); }
+  get textAlign() { return this.#state.textAlign; }
+  set textAlign(v) { this.#state.textAlign = v; }
+  get textBaseline() { return this.#state.textBaseline; }
+  set textBaseline(v) { this.#state.textBaseline = v; }
+
+  setLineDash(segments) { this.#state.lineDash = [...segments]; }
+  getLineDash() { return [...this.#state.lineDash]; }
+
+  save() {
+    this.#stack.push({ ...this.#state });
+  }
+
+  restore() {
+    const s = this.#stack.pop();
+    if (s) this.#state = s;
+  }
+
+  /* ── Transforms ── */
+
+  setTransform(a, b, c, d, e, f) {
+    this.#state.transform = [a, b, c, d, e, f];
+  }
+
+  transform(a, b, c, d, e, f) {
+    this.#state.transform = multiply(this.#state.transform, [a, b, c, d, e, f]);
+  }
+
+  translate(x, y) { this.transform(1, 0, 0, 1, x, y); }
+
+  scale(x, y) { this.transform(x, 0, 0, y, 0, 0); }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  /* ── Paths ── */
+
+  beginPath() {
+    this.#path = [];
+    this.#hasPoint = false;
+  }
+
+  closePath() {
+    if (this.#hasPoint) this.#path.push(['Z']);
+  }
+
+  moveTo(x, y) {
+    this.#path.push(['M', ...this.#device(x, y)]);
+    this.#hasPoint = true;
+  }
+
+  lineTo(x, y) {
+    if (!this.#hasPoint) return this.moveTo(x, y);
+    this.#path.push(['L', ...this.#device(x, y)]);
+  }
+
+  bezierCurveTo(x1, y1, x2, y2, x, y) {
+    if (!this.#hasPoint) this.moveTo(x1, y1);
+    this.#path.push(['C', ...this.#device(x1, y1), ...this.#device(x2, y2), ...this.#device(x, y)]);
+  }
+
+  rect(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+  }
+
+  arc(cx, cy, r, start, end, counterclockwise = false) {
+    this.ellipse(cx, cy, r, r, 0, start, end, counterclockwise);
+  }
+
+  /** Elliptical arc as cubic Béziers of at most a quarter turn each. */
+  ellipse(cx, cy, rx, ry, rotation, start, end, counterclockwise = false) {
+    const sweep = arcSweep(start, end, counterclockwise);
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    // Unit circle → ellipse in user space
+    const at = (ux, uy) => {
+      const x = ux * rx;
+      const y = uy * ry;
+      return [cx + x * cos - y * sin, cy + x * sin + y * cos];
+    };
+
+    const [x0, y0] = at(Math.cos(start), Math.sin(start));
+    this.lineTo(x0, y0);
+
+    const steps = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+    const delta = sweep / steps;
+    const k = (4 / 3) * Math.tan(delta / 4);
+    let a = start;
+    for (let i = 0; i < steps; i++) {
+      const b = a + delta;
+      const [x1, y1] = at(Math.cos(a) - k * Math.sin(a), Math.sin(a) + k * Math.cos(a));
+      const [x2, y2] = at(Math.cos(b) + k * Math.sin(b), Math.sin(b) - k * Math.cos(b));
+      const [x3, y3] = at(Math.cos(b), Math.sin(b));
+      this.bezierCurveTo(x1, y1, x2, y2, x3, y3);
+      a = b;
+    }
+  }
+
+  fill() {
+    if (this.#path.length) this.#ops.push(this.#paintOp('fill', this.#path));
+  }
+
+  stroke() {
+    if (this.#path.length) this.#ops.push(this.#paintOp('stroke', this.#path));
+  }
+
+  fillRect(x, y, w, h) {
+    this.#ops.push(this.#paintOp('fill', this.#rectPath(x, y, w, h)));
+  }
+
+  strokeRect(x, y, w, h) {
+    this.#ops.push(this.#paintOp('stroke', this.#rectPath(x, y, w, h)));
+  }
+
+  /** Exports start blank, so clearing has nothing to remove. */
+  clearRect() {}
+
+  /* ── Text ── */
+
+  fillText(text, x, y) {
+    this.#ops.push(this.#textOp('fill', text, x, y));
+  }
+
+  strokeText(text, x, y) {
+    this.#ops.push(this.#textOp('stroke', text, x, y));
+  }
+
+  measureText(text) {
+    return measure(String(text), this.#state.font);
+  }
+
+  /* ── Images ── */
+
+  /**
+   * Embed a raster image, e.g. the video frame under the grid. Only the
+   * 3- and 5-argument forms are supported.
+   * @param {CanvasImageSource} source
+   */
+  drawImage(source, x, y, w, h) {
+    const canvas = rasterize(source);
+    if (!canvas) return;
+    this.#ops.push({
+      kind: 'image',
+      canvas,
+      transform: this.#state.transform,
+      alpha: this.#state.globalAlpha,
+      x,
+      y,
+      w: w ?? canvas.width,
+      h: h ?? canvas.height,
+    });
+  }
+
+  /* ── Output ── */
+
+  /**
+   * The drawing as a standalone SVG document.
+   * @param {number} width
+   * @param {number} height
+   * @returns {string}
+   */
+  toSVG(width, height) {
+    const out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" viewBox="0 0 ${num(width)} ${num(height)}">`,
+    ];
+    for (const op of this.#ops) {
+      if (op.kind === 'path') out.push(svgPath(op));
+      else if (op.kind === 'text') out.push(svgText(op));
+      else out.push(svgImage(op));
+    }
+    out.push('</svg>', '');
+    return out.join('\n');
+  }
+
+  /**
+   * Write the drawing into the current page of a PDF, one user unit per point.
+   * @param {import('./pdf.js').PdfDocument} pdf
+   */
+  drawToPdf(pdf) {
+    const out = [];
+    for (const op of this.#ops) {
+      if (op.kind === 'path') out.push(pdfPath(pdf, op));
+      else if (op.kind === 'text') out.push(pdfText(pdf, op));
+      else out.push(pdfImage(pdf, op));
+    }
+    pdf.addContent(out.join(''));
+  }
+
+  /* ── Helpers ── */
+
+  #device(x, y) {
+    const [a, b, c, d, e, f] = this.#state.transform;
+    return [a * x + c * y + e, b * x + d * y + f];
+  }
+
+  #rectPath(x, y, w, h) {
+    return [
+      ['M', ...this.#device(x, y)],
+      ['L', ...this.#device(x + w, y)],
+      ['L', ...this.#device(x + w, y + h)],
+      ['L', ...this.#device(x, y + h)],
+      ['Z'],
+    ];
+  }
+
+  /** A fill or stroke of `path` with the current style; widths become device units. */
+  #paintOp(mode, path) {
+    const s = this.#state;
+    const color = parseColor(mode === 'fill' ? s.fillStyle : s.strokeStyle);
+    const [a, b, c, d] = s.transform;
+    const scale = Math.sqrt(Math.abs(a * d - b * c));
+    return {
+      kind: 'path',
+      mode,
+      path: [...path],
+      color,
+      alpha: s.globalAlpha * color.a,
+      lineWidth: s.lineWidth * scale,
+      lineDash: s.lineDash.map((v) => v * scale),
+      lineCap: s.lineCap,
+      lineJoin: s.lineJoin,
+    };
+  }
+
+  /** Text keeps the user-space transform so rotated and scaled text stays text. */
+  #textOp(mode, text, x, y) {
+    const s = this.#state;
+    const color = parseColor(mode === 'fill' ? s.fillStyle : s.strokeStyle);
+    const { size, bold } = parseFont(s.font);
+    text = String(text);
+    const width = measure(text, `${bold ? 'bold ' : ''}${size}px ${SVG_FONT}`).width;
+    let dx = 0;
+    if (s.textAlign === 'center') dx = -width / 2;
+    else if (s.textAlign === 'right' || s.textAlign === 'end') dx = -width;
+    return {
+      kind: 'text',
+      mode,
+      text,
+      x: x + dx,
+      y: y + size * (BASELINE_SHIFT[s.textBaseline] ?? 0),
+      size,
+      bold,
+      transform: s.transform,
+      color,
+      alpha: s.globalAlpha * color.a,
+      lineWidth: s.lineWidth,
+    };
+  }
+}
+
+/* ── SVG ── */
+
+function svgPath(op) {
+  const d = op.path.map((seg) => seg[0] + seg.slice(1).map(num).join(' ')).join('');
+  const paint = op.mode === 'fill'
+    ? `fill="${hex(op.color)}"${opacity('fill-opacity', op.alpha)}`
+    : `fill="none" stroke="${hex(op.color)}" stroke-width="${num(op.lineWidth)}"`
+      + `${op.lineCap === 'butt' ? '' : ` stroke-linecap="${op.lineCap}"`}`
+      + `${op.lineJoin === 'miter' ? '' : ` stroke-linejoin="${op.lineJoin}"`}`
+      + `${op.lineDash.length ? ` stroke-dasharray="${op.lineDash.map(num).join(' ')}"` : ''}`
+      + opacity('stroke-opacity', op.alpha);
+  return `<path d="${d}" ${paint}/>`;
+}
+
+function svgText(op) {
+  const paint = op.mode === 'fill'
+    ? `fill="${hex(op.color)}"${opacity('fill-opacity', op.alpha)}`
+    : `fill="none" stroke="${hex(op.color)}" stroke-width="${num(op.lineWidth)}" stroke-linejoin="round"${opacity('stroke-opacity', op.alpha)}`;
+  return `<text transform="matrix(${op.transform.map(num).join(' ')})" x="${num(op.x)}" y="${num(op.y)}" `
+    + `font-family="${SVG_FONT}" font-size="${num(op.size)}"${op.bold ? ' font-weight="bold"' : ''} ${paint}>`
+    + `${escapeXml(op.text)}</text>`;
+}
+
+function svgImage(op) {
+  const src = op.canvas.toDataURL('image/jpeg', 0.92);
+  return `<image transform="matrix(${op.transform.map(num).join(' ')})" x="${num(op.x)}" y="${num(op.y)}" `
+    + `width="${num(op.w)}" height="${num(op.h)}" preserveAspectRatio="none"${opacity('opacity', op.alpha)} href="${src}"/>`;
+}
+
+function opacity(attr, alpha) {
+  return alpha < 1 ? ` ${attr}="${num(alpha)}"` : '';
+}
+
+function escapeXml(text) {
+  return text.replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+}
+
+/* ── PDF ── */
+
+function pdfPath(pdf, op) {
+  const d = op.path.map((seg) => {
+    const [cmd, ...xy] = seg;
+    const args = xy.map(num).join(' ');
+    if (cmd === 'M') return `${args} m `;
+    if (cmd === 'L') return `${args} l `;
+    if (cmd === 'C') return `${args} c `;
+    return 'h ';
+  }).join('');
+  const { r, g, b } = op.color;
+  const rgb = [r, g, b].map((v) => num(v / 255)).join(' ');
+  const paint = op.mode === 'fill'
+    ? `${rgb} rg ${d}f`
+    : `${rgb} RG ${num(op.lineWidth)} w ${LINE_CAPS[op.lineCap]} J ${LINE_JOINS[op.lineJoin]} j `
+      + `[${op.lineDash.map(num).join(' ')}] 0 d ${d}S`;
+  return `q ${pdfAlpha(pdf, op.alpha)}${paint} Q\n`;
+}
+
+function pdfText(pdf, op) {
+  const { r, g, b } = op.color;
+  const rgb = [r, g, b].map((v) => num(v / 255)).join(' ');
+  const paint = op.mode === 'fill' ? `${rgb} rg 0 Tr` : `${rgb} RG ${num(op.lineWidth)} w 1 j 1 Tr`;
+  const font = pdf.font(op.bold ? 'Helvetica-Bold' : 'Helvetica');
+  // Text space is y-up; flip it back so glyphs stand upright on the y-down page
+  return `q ${pdfAlpha(pdf, op.alpha)}${op.transform.map(num).join(' ')} cm BT ${font} ${num(op.size)} Tf ${paint} `
+    + `1 0 0 -1 ${num(op.x)} ${num(op.y)} Tm ${pdfString(op.text)} Tj ET Q\n`;
+}
+
+function pdfImage(pdf, op) {
+  const jpeg = dataUrlBytes(op.canvas.toDataURL('image/jpeg', 0.92));
+  const name = pdf.image(jpeg, op.canvas.width, op.canvas.height);
+  return `q ${pdfAlpha(pdf, op.alpha)}${op.transform.map(num).join(' ')} cm `
+    + `${num(op.w)} 0 0 ${num(-op.h)} ${num(op.x)} ${num(op.y + op.h)} cm ${name} Do Q\n`;
+}
+
+function pdfAlpha(pdf, alpha) {
+  return alpha < 1 ? `${pdf.alpha(alpha)} gs ` : '';
+}
+
+function dataUrlBytes(url) {
+  const bin = atob(url.slice(url.indexOf(',') + 1));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+/* ── Helpers ── */
+
+/** m · n for [a, b, c, d, e, f] affine matrices. */
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+/** Signed sweep of a canvas arc from `start` to `end`, as CanvasRenderingContext2D.arc() reads it. */
+function arcSweep(start, end, counterclockwise) {
+  const TAU = Math.PI * 2;
+  let sweep = end - start;
+  if (!counterclockwise) {
+    if (sweep >= TAU) return TAU;
+    sweep %= TAU;
+    return sweep < 0 ? sweep + TAU : sweep;
+  }
+  if (sweep <= -TAU) return -TAU;
+  sweep %= TAU;
+  return sweep > 0 ? sweep - TAU : sweep;
+}
+
+/**
+ * Parse the CSS colors the painters use: #rgb, #rrggbb, rgb() / rgba() and
+ * a few names. Anything else is black.
+ * @returns {Color}
+ */
+function parseColor(css) {
+  const s = css.trim().toLowerCase();
+  let m = /^#([0-9a-f]{3})$/.exec(s);
+  if (m) {
+    const [r, g, b] = [...m[1]].map((ch) => parseInt(ch + ch, 16));
+    return { r, g, b, a: 1 };
+  }
+  m = /^#([0-9a-f]{6})$/.exec(s);
+  if (m) {
+    const v = parseInt(m[1], 16);
+    return { r: v >> 16, g: (v >> 8) & 255, b: v & 255, a: 1 };
+  }
+  m = /^rgba?\(([^)]*)\)$/.exec(s);
+  if (m) {
+    const [r, g, b, a = 1] = m[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a: Number.isFinite(a) ? a : 1 };
+  }
+  if (s === 'white') return { r: 255, g: 255, b: 255, a: 1 };
+  if (s === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  return { r: 0, g: 0, b: 0, a: 1 };
+}
+
+function hex({ r, g, b }) {
+  return `#${[r, g, b].map((v) => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/** Size in px and boldness from a CSS font shorthand, e.g. `600 16px system-ui`. */
+function parseFont(font) {
+  const m = /(\d+(?:\.\d+)?)px/.exec(font);
+  return {
+    size: m ? Number(m[1]) : 10,
+    bold: /\b(bold|bolder|[6-9]00)\b/.test(font),
+  };
+}
+
+/** @type {CanvasRenderingContext2D|null} */
+let scratch = null;
+
+function measure(text, font) {
+  scratch ??= document.createElement('canvas').getContext('2d');
+  scratch.font = font;
+  return scratch.measureText(text);
+}
+
+/** Copy an image source onto a canvas no larger than MAX_IMAGE_SIZE, or null when it has no pixels yet. */
+function rasterize(source) {
+  const w = source.videoWidth || source.naturalWidth || source.width;
+  const h = source.videoHeight || source.naturalHeight || source.height;
+  if (!w || !h) return null;
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(w, h));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(w * scale);
+  canvas.height = Math.round(h * scale);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
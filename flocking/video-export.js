@@ -0,0 +1,144 @@
+/**
+ * VideoExport — plays the loaded video through an offscreen canvas, composites
+ * the grid on every frame and records the result to WebM with MediaRecorder.
+ */
+
+import { drawMediaContained } from './snapshot.js';
+import { downloadBlob, baseName } from './download.js';
+
+const MIME_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+];
+
+const FRAME_RATE = 30;
+const BITS_PER_SECOND = 8_000_000;
+
+/** True when this browser can record a canvas stream to WebM. */
+export function isVideoExportSupported() {
+  return typeof MediaRecorder !== 'undefined'
+    && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+    && MIME_TYPES.some((t) => MediaRecorder.isTypeSupported(t));
+}
+
+/**
+ * Record the loaded video with the grid, formation and annotations burned
+ * in and download it as WebM.
+ * Resolves true when a file was saved, false when cancelled or nothing to export.
+ * @param {{
+ *   mediaLoader: import('./media-loader.js').MediaLoader,
+ *   gridRenderer: import('./grid-renderer.js').GridRenderer,
+ *   formationEditor?: import('./formation-editor.js').FormationEditor,
+ *   annotationRenderer?: import('./annotation-renderer.js').AnnotationRenderer,
+ *   mediaArea: HTMLElement,
+ *   inPoint?: number|null,
+ *   outPoint?: number|null,
+ *   onProgress?: (fraction: number) => void,
+ *   signal?: AbortSignal
+ * }} opts
+ * @returns {Promise<boolean>}
+ */
+export async function exportVideo({
+  mediaLoader, gridRenderer, formationEditor = null, annotationRenderer = null, mediaArea,
+  inPoint = null, outPoint = null, onProgress = () => {}, signal,
+}) {
+  if (mediaLoader.mediaType !== 'video' || !isVideoExportSupported()) return false;
+
+  // Separate element so the user's playback position is left alone
+  const src = document.createElement('video');
+  src.muted = true;
+  src.playsInline = true;
+  src.src = mediaLoader.videoElement.currentSrc;
+  await once(src, 'loadedmetadata');
+
+  const srcW = src.videoWidth;
+  const srcH = src.videoHeight;
+  const duration = src.duration;
+  if (!srcW || !srcH || !Number.isFinite(duration)) return false;
+
+  const start = Math.max(0, Math.min(duration, inPoint ?? 0));
+  const end = Math.max(start, Math.min(duration, outPoint ?? duration));
+  if (end - start <= 0) return false;
+
+  src.currentTime = start;
+  await once(src, 'seeked');
+
+  // Composite at the container's size so the grid matches what the user sees.
+  // Encoders want even dimensions.
+  const width = Math.floor(mediaArea.clientWidth / 2) * 2;
+  const height = Math.floor(mediaArea.clientHeight / 2) * 2;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const drawFrame = () => {
+    drawMediaContained(ctx, src, srcW, srcH, width, height);
+    gridRenderer.drawTo(ctx, width, height, src.currentTime);
+    formationEditor?.drawTo(ctx, width, height, src.currentTime);
+    annotationRenderer?.drawTo(ctx, width, height, src.currentTime);
+  };
+
+  const mimeType = MIME_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+  const recorder = new MediaRecorder(canvas.captureStream(FRAME_RATE), {
+    mimeType,
+    videoBitsPerSecond: BITS_PER_SECOND,
+  });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  });
+  const stopped = once(recorder, 'stop');
+
+  drawFrame();
+  recorder.start(1000);
+  onProgress(0);
+
+  await src.play();
+  await new Promise((resolve) => {
+    const finish = () => resolve();
+    src.addEventListener('ended', finish, { once: true });
+    signal?.addEventListener('abort', finish, { once: true });
+
+    const step = () => {
+      if (signal?.aborted || src.ended) return;
+      if (src.currentTime >= end) return finish();
+      drawFrame();
+      onProgress((src.currentTime - start) / (end - start));
+      scheduleFrame(src, step);
+    };
+    scheduleFrame(src, step);
+  });
+
+  src.pause();
+  recorder.stop();
+  await stopped;
+  src.removeAttribute('src');
+  src.load();
+
+  if (signal?.aborted) return false;
+  onProgress(1);
+
+  const blob = new Blob(chunks, { type: 'video/webm' });
+  downloadBlob(blob, `${baseName(mediaLoader.fileName, 'video')}_grid.webm`);
+  return true;
+}
+
+/* ── Helpers ── */
+
+/** Call `fn` on the next decoded video frame, or next animation frame as a fallback. */
+function scheduleFrame(video, fn) {
+  if ('requestVideoFrameCallback' in video) video.requestVideoFrameCallback(() => fn());
+  else requestAnimationFrame(() => fn());
+}
+
+/** Resolve on the first `type` event from `target`; reject on its `error` event. */
+function once(target, type) {
+  return new Promise((resolve, reject) => {
+    target.addEventListener(type, resolve, { once: true });
+    target.addEventListener('error', () => {
+      reject(new Error(`Export failed waiting for "${type}"`));
+    }, { once: true });
+  });
+}
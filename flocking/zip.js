@@ -0,0 +1,117 @@
+/**
+ * Zip — minimal ZIP writer, so Flocking can bundle exports offline with no
+ * third-party library.
+ *
+ * Entries are stored uncompressed: everything Flocking bundles (PNG, JPEG,
+ * WebP) is compressed already, and storing keeps the writer small and fast.
+ */
+
+const encoder = new TextEncoder();
+
+/** CRC-32 lookup table (polynomial 0xEDB88320). */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export class ZipWriter {
+  /** @type {Uint8Array[]} local headers and file data, in order */
+  #parts = [];
+  /** @type {Uint8Array[]} */
+  #central = [];
+  #offset = 0;
+  /** @type {Set<string>} */
+  #names = new Set();
+
+  get size() { return this.#names.size; }
+
+  /**
+   * Add a file. Repeated names get a numbered suffix, e.g. "shot (2).png".
+   * @param {string} name path inside the archive
+   * @param {Uint8Array|ArrayBuffer} data
+   * @param {Date} [date] modification time
+   */
+  add(name, data, date = new Date()) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const path = encoder.encode(this.#unique(name));
+    const crc = crc32(bytes);
+    const { time, day } = dosDateTime(date);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header
+    local.setUint16(4, 20, true);         // version needed
+    local.setUint16(6, 0x0800, true);     // flags: UTF-8 names
+    local.setUint16(8, 0, true);          // method: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, path.length, true);
+    local.setUint16(28, 0, true);         // extra length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory header
+    central.setUint16(4, 20, true);         // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, path.length, true);
+    // extra, comment, disk, internal and external attributes stay 0
+    central.setUint32(42, this.#offset, true);
+
+    this.#parts.push(new Uint8Array(local.buffer), path, bytes);
+    this.#central.push(new Uint8Array(central.buffer), path);
+    this.#offset += 30 + path.length + bytes.length;
+  }
+
+  /** Serialize the archive. */
+  toBlob() {
+    const dirSize = this.#central.reduce((n, p) => n + p.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory
+    end.setUint16(8, this.size, true);
+    end.setUint16(10, this.size, true);
+    end.setUint32(12, dirSize, true);
+    end.setUint32(16, this.#offset, true);
+    return new Blob([...this.#parts, ...this.#central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+  }
+
+  #unique(name) {
+    let out = name;
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    for (let n = 2; this.#names.has(out); n++) out = `${stem} (${n})${ext}`;
+    this.#names.add(out);
+    return out;
+  }
+}
+
+/* ── Helpers ── */
+
+/** @param {Uint8Array} bytes */
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** MS-DOS time and date fields (2-second resolution, years from 1980). */
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}